@@ -2,12 +2,121 @@
  * server.js — Instant Talk Backend (Railway) — v2.0 ANTI-HALLUCINATION
  *
  * WS: /ws
- * Audio in: PCM Int16 LE mono 16kHz (binary frames)
- * Control in: JSON: config / flush / reset
+ * Audio in: PCM Int16 LE mono 16kHz (binary frames) by default;
+ *   config.audioFormat = {encoding: pcm_s16le | pcm_f32le | ogg_opus | webm_opus, sampleRate, channels}
+ *   is decoded, downmixed and resampled to 16kHz mono on ingest
+ * Control in: JSON: config / flush / text / reset / glossary / resume / ack / cancel
+ *
+ * Text: {type:"text", text, lang?} is a typed turn that skips STT: echoed as
+ *   {type:"stt", input:"text"}, then translation/tts/done like a spoken turn,
+ *   same seq numbering and queue (text_ack "queued" while busy)
+ *
+ * Pipelining: every flush snapshots its audio into a job; up to PIPELINE_CONCURRENCY
+ *   jobs run at once (STT of the next overlaps translation/TTS of the previous) and
+ *   each turn's messages are delivered whole, in seq order. flush_ack / text_ack
+ *   {status:"queued", seq, queued} when earlier turns are still pending;
+ *   done.breakdown has queueDepth, queueWaitMs (waiting for a slot), orderWaitMs
+ *
+ * Resume: ready.resumeToken; after a reconnect {type:"resume", token, lastSeq}
+ *   reattaches the previous session (config, context, buffered audio) within
+ *   RESUME_GRACE_MS and replays its messages with seq > lastSeq; {type:"ack", seq}
+ *   releases replay buffer. Resume must be the first thing a new connection
+ *   does (resume_refused once it has its own turns, audio or room)
  *
  * Output (always):
  *   {type:"stt"} {type:"translation"} {type:"tts"} OR {type:"error"}
  *
+ * Cancel: {type:"cancel", seq?} aborts that utterance's provider requests (or drops
+ *   it if still queued); without seq every running and queued turn is cancelled
+ *   -> {type:"cancelled", seq, seqs, stage, reason};
+ *   config.bargeIn = true (with VAD) cancels running turns' TTS on vad_start
+ *
+ * auto_bidi: direction follows Whisper's detected language (A->B or B->A),
+ *   with config.bidiFallback ("forward" | "reverse" | "reject") for a third language
+ *
+ * targetLangs: config.targetLangs = ["fr", "de", ...] translates and synthesizes one
+ *   STT result into every language in parallel (voice per config.voices); translation
+ *   and tts messages carry targetLang, done.breakdown.langs has one entry per language
+ *
+ * Rooms: join_room {room, lang, name?, voice?} / leave_room
+ *   each utterance is transcribed once, translated + synthesized once per
+ *   listener language, delivered to the other participants with speakerId + seq
+ *   presence: {type:"participant_joined"} {type:"participant_left"}
+ *
+ * TTS: config.ttsFormat = mp3 | opus | aac | wav | pcm (24kHz Int16 LE)
+ *   config.tts_stream = true -> {type:"tts_start"}, binary frames
+ *   [u32 LE seq][u32 LE chunk index][audio], {type:"tts_end"} instead of audioB64
+ *
+ * Auth (AUTH_KEYS_FILE / AUTH_HMAC_SECRET): API key or HS256 token (exp required) via
+ *   ?token= or Sec-WebSocket-Protocol "token.<token>" (WS), Authorization: Bearer or
+ *   x-api-key (HTTP; query tokens are not accepted there)
+ *   /v1/admin/* needs a tenant with "admin": true; with auth off, X-Admin-Token =
+ *   ADMIN_TOKEN (admin routes are off when ADMIN_TOKEN is unset)
+ *
+ * REST: POST /v1/translate {text, targetLang, sourceLang?, glossary?}
+ *       POST /v1/transcribe (audio body) -> text + sttQuality + verdict
+ *       POST /v1/speak {text, voice?, format?} -> audio
+ *       GET  /v1/usage -> metered counters + limits for the caller
+ *       GET  /v1/sessions/:id/transcript?format=srt|vtt|json|txt (WS: get_transcript), with
+ *            the session's ready.transcriptToken in X-Transcript-Token or ?transcript_token=
+ *
+ * Logs: JSON lines (LOG_LEVEL), user text and IPs hashed/omitted per LOG_REDACT
+ *
+ * Hallucination filter: per-language blacklists + Whisper artifacts from HALLU_FILE
+ *   (GET/POST/DELETE /v1/admin/hallucinations), thresholds via config.hallucination,
+ *   dryRun reports stt.hallucination = {wouldBlock, reason} instead of blocking
+ *
+ * Metrics: GET /metrics (Prometheus text) — stage latency histograms per provider/model,
+ *   rejection codes, DeepL fallbacks / wrong endpoint, connections, audio seconds
+ *
+ * Limits: per-minute request rate and daily quotas (audio seconds, translated /
+ *   synthesized chars) are checked before provider calls -> code "quota_exceeded"
+ *
+ * Providers: STT_PROVIDER / TRANSLATION_PROVIDERS (fallback chain) / TTS_PROVIDER,
+ *   overridable per connection via config.providers; "mock" needs no network and
+ *   exists only with MOCK_PROVIDERS=true
+ *
+ * Glossaries: {type:"glossary", pairs | name | clear} per session, named ones via
+ *   PUT/GET/DELETE /v1/glossaries/:name; translation.glossary reports missed terms
+ *
+ * Cache: translations and TTS audio are cached (LRU + TTL, optional CACHE_DIR);
+ *   translation/tts messages carry cached: true|false, config.cache = false opts out,
+ *   GET/DELETE /v1/admin/cache for hit-rate stats
+ *
+ * Context: config.context = {window, topic}; the last `window` source/translation
+ *   pairs (and the topic) are passed to the translator, cleared on reset
+ *
+ * VAD (opt-in, config.vad): server-side endpointing, emits
+ *   {type:"vad_start"} {type:"vad_end"} and flushes automatically
+ *
+ * Interim (opt-in, config.interim = {enabled, intervalMs, minNewMs, translate, maxWindowMs}):
+ *   {type:"stt_partial", partialId, text, stable, unstable} while audio is still arriving,
+ *   plus {type:"translation_partial", partialId} with translate: true; not replayed on
+ *   resume. Only the last maxWindowMs of the buffer is transcribed (windowStartMs > 0
+ *   once it slides). The utterance gets its seq on flush; its stt carries the same
+ *   partialId. The final stt on flush stays authoritative
+ *
+ * Long-form (opt-in, config.longForm = {enabled, maxSegmentMs, minSegmentMs}): audio
+ *   past maxSegmentMs is cut at its quietest point and processed part by part while
+ *   the speaker goes on, instead of overflowing. Each part is an utterance with its own
+ *   seq; stt and done carry longForm: {id, part, last} (id = first part's seq, last on
+ *   the flushed tail, whose done always comes, with empty: true if it had no usable audio)
+ *
+ * DSP: config.dsp = {chain, highpassHz, denoise: {mode: gate|spectral, reductionDb},
+ *   agc: {targetRms, maxGain, windowMs, ceiling}, trim: {thresholdRms, padMs}} (or
+ *   true/false) preprocesses each utterance before STT (default chain DSP_CHAIN, empty
+ *   unless set; true = DSP_CHAIN or dc,highpass,agc);
+ *   stt.audio.dsp = {stages, before, after} reports what ran and the levels around it
+ *
+ * Resilience: provider calls time out per stage (*_TIMEOUT_MS), transient failures
+ *   (timeout, 429, 5xx, network) are retried with backoff, and a circuit breaker per
+ *   provider skips it for BREAKER_COOLDOWN_MS after repeated failures. Outages surface
+ *   as codes stt_unavailable / translation_unavailable / tts_unavailable (REST 503);
+ *   on tts_unavailable the turn still ends with done, text-only (ttsUnavailable: true).
+ *   Other provider failures are the request's own: http_<status> (REST 400, e.g. a
+ *   voice or language the provider rejects) or provider_error (REST 502).
+ *   GET /healthz -> {status: ok|degraded, providers: {stage: {name: {state, ...}}}}
+ *
  * v2.0: Anti-hallucination + AGC + language normalization + compression ratio
  */
 
@@ -19,6 +128,8 @@ import os from "os";
 import express from "express";
 import { WebSocketServer } from "ws";
 import OpenAI from "openai";
+import OpusScript from "opusscript";
+import { fileURLToPath } from "url";
 
 // -------------------------
 // ENV
@@ -27,10 +138,6 @@ const PORT = Number(process.env.PORT || 3000);
 const WS_PATH = "/ws";
 
 const OPENAI_API_KEY = (process.env.OPENAI_API_KEY || "").trim();
-if (!OPENAI_API_KEY) {
-  console.error("[FATAL] Missing OPENAI_API_KEY");
-  process.exit(1);
-}
 
 const OPENAI_STT_MODEL = (process.env.OPENAI_STT_MODEL || "whisper-1").trim();
 const OPENAI_TTS_MODEL = (process.env.OPENAI_TTS_MODEL || "tts-1").trim();
@@ -57,9 +164,41 @@ const AUDIO_CHANNELS = 1;
 const AUDIO_BITS_PER_SAMPLE = 16;
 const BYTES_PER_SAMPLE = AUDIO_BITS_PER_SAMPLE / 8;
 
+// Accepted input encodings (config.audioFormat); everything is normalized to the format above
+const INPUT_ENCODINGS = ["pcm_s16le", "pcm_f32le", "ogg_opus", "webm_opus"];
+const MIN_INPUT_SAMPLE_RATE = 8000;
+const MAX_INPUT_SAMPLE_RATE = 192000;
+const MAX_INPUT_CHANNELS = 8;
+
+// Auth: API keys from a JSON file (hot-reloaded) and/or HMAC-signed (JWT HS256) tokens
+const AUTH_KEYS_FILE = (process.env.AUTH_KEYS_FILE || "").trim();
+const AUTH_HMAC_SECRET = (process.env.AUTH_HMAC_SECRET || "").trim();
+const AUTH_REQUIRED = (process.env.AUTH_REQUIRED || (AUTH_KEYS_FILE || AUTH_HMAC_SECRET ? "true" : "false")).toLowerCase() === "true";
+const AUTH_RELOAD_MS = Number(process.env.AUTH_RELOAD_MS || 5000);
+const WS_AUTH_PROTOCOL_PREFIX = "token.";
+// /v1/admin/* with auth off needs X-Admin-Token = ADMIN_TOKEN (unset: admin routes off)
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+
+// Metering / limits. Per-minute request limits and daily quotas (0 = unlimited);
+// tenants can override via "quotas" in AUTH_KEYS_FILE. Subject = tenant, or client IP when auth is off.
+const RATE_LIMIT_PER_MIN = Number(process.env.RATE_LIMIT_PER_MIN || 120);
+const RATE_LIMIT_CONN_PER_MIN = Number(process.env.RATE_LIMIT_CONN_PER_MIN || 30);
+const QUOTA_AUDIO_SECONDS_PER_DAY = Number(process.env.QUOTA_AUDIO_SECONDS_PER_DAY || 0);
+const QUOTA_TRANSLATION_CHARS_PER_DAY = Number(process.env.QUOTA_TRANSLATION_CHARS_PER_DAY || 0);
+const QUOTA_TTS_CHARS_PER_DAY = Number(process.env.QUOTA_TTS_CHARS_PER_DAY || 0);
+// Reverse proxies in front of the server (like Express "trust proxy" with a hop count);
+// 0 = X-Forwarded-For is ignored and the socket peer is the client
+const TRUST_PROXY_HOPS = Math.max(0, Math.floor(Number(process.env.TRUST_PROXY_HOPS || 0)));
+
+// REST uploads (POST /v1/transcribe); Whisper itself caps files at 25MB
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES || 25 * 1024 * 1024);
+
 // Limits
 const MAX_PCM_BYTES_PER_UTTERANCE = Number(process.env.MAX_PCM_BYTES_PER_UTTERANCE || 3000000);
 const MAX_TEXT_CHARS = Number(process.env.MAX_TEXT_CHARS || 2000);
+const MAX_QUEUED_TEXTS = Number(process.env.MAX_QUEUED_TEXTS || 20);
+// Turns running at once per connection; 1 = strictly one after the other
+const PIPELINE_CONCURRENCY = Math.max(1, Number(process.env.PIPELINE_CONCURRENCY || 2));
 const WS_PING_INTERVAL_MS = Number(process.env.WS_PING_INTERVAL_MS || 15000);
 
 // Guards quality
@@ -70,44 +209,197 @@ const MAX_NO_SPEECH_PROB = Number(process.env.MAX_NO_SPEECH_PROB || 0.55);
 const MIN_AVG_LOGPROB = Number(process.env.MIN_AVG_LOGPROB || -1.10);
 const MAX_COMPRESSION_RATIO = Number(process.env.MAX_COMPRESSION_RATIO || 2.4);
 
-// AGC
-const AGC_TARGET_RMS = 0.12;
-const AGC_MAX_GAIN = 8.0;
+// Hallucination filter (defaults; per connection via config.hallucination)
+const HALLU_FILE = (process.env.HALLU_FILE || fileURLToPath(new URL("./hallucinations.json", import.meta.url))).trim();
+const HALLU_DRY_RUN = (process.env.HALLU_DRY_RUN || "false").toLowerCase() === "true";
+const HALLU_BLACKLIST_SHORT_MS = Number(process.env.HALLU_BLACKLIST_SHORT_MS || 2000);
+const HALLU_MAX_NO_SPEECH = Number(process.env.HALLU_MAX_NO_SPEECH || 0.35);
+const HALLU_MIN_LOGPROB = Number(process.env.HALLU_MIN_LOGPROB || -0.80);
+const HALLU_SINGLE_WORD_MAX_MS = Number(process.env.HALLU_SINGLE_WORD_MAX_MS || 1500);
+const HALLU_NGRAM_REPEATS = Number(process.env.HALLU_NGRAM_REPEATS || 3);
+const HALLU_NGRAM_MAX_N = 6;
+
+// Audio preprocessing before STT (defaults; per connection via config.dsp).
+// DSP_CHAIN stages in order: dc, highpass, denoise (gate | spectral), agc, trim.
+// Empty by default (audio reaches STT untouched); `dsp: true` turns on DSP_CHAIN, or
+// dc,highpass,agc when it is empty
+const DSP_CHAIN = String(process.env.DSP_CHAIN || "").split(",").map(function(s) { return s.trim(); }).filter(Boolean);
+const DSP_ENABLED_CHAIN = DSP_CHAIN.length ? DSP_CHAIN : ["dc", "highpass", "agc"];
+const DSP_HIGHPASS_HZ = Number(process.env.DSP_HIGHPASS_HZ || 80);
+const DSP_DENOISE_MODE = process.env.DSP_DENOISE_MODE || "gate";
+const DSP_DENOISE_REDUCTION_DB = Number(process.env.DSP_DENOISE_REDUCTION_DB || 12);
+const DSP_TRIM_THRESHOLD = Number(process.env.DSP_TRIM_THRESHOLD || 0.01);
+const DSP_TRIM_PAD_MS = Number(process.env.DSP_TRIM_PAD_MS || 200);
+// AGC works per AGC_WINDOW_MS window, followed by a peak limiter at AGC_CEILING
+const AGC_TARGET_RMS = Number(process.env.AGC_TARGET_RMS || 0.12);
+const AGC_MAX_GAIN = Number(process.env.AGC_MAX_GAIN || 8.0);
+const AGC_WINDOW_MS = Number(process.env.AGC_WINDOW_MS || 400);
+const AGC_CEILING = Number(process.env.AGC_CEILING || 0.9);
+
+// VAD (server-side endpointing, opt-in per connection)
+const VAD_FRAME_MS = 20;
+const VAD_THRESHOLD = Number(process.env.VAD_THRESHOLD || 0.015);
+const VAD_NOISE_RATIO = Number(process.env.VAD_NOISE_RATIO || 3.0);
+const VAD_MAX_ZCR = Number(process.env.VAD_MAX_ZCR || 0.35);
+const VAD_HANGOVER_MS = Number(process.env.VAD_HANGOVER_MS || 700);
+const VAD_PREROLL_MS = Number(process.env.VAD_PREROLL_MS || 300);
+const VAD_MIN_SPEECH_MS = Number(process.env.VAD_MIN_SPEECH_MS || 120);
+const VAD_MAX_UTTERANCE_MS = Number(process.env.VAD_MAX_UTTERANCE_MS || 30000);
+
+// Interim transcripts (opt-in, config.interim): the last INTERIM_MAX_WINDOW_MS of the growing
+// buffer is re-transcribed at most every INTERIM_INTERVAL_MS once INTERIM_MIN_NEW_MS of new
+// speech has arrived; each partial counts as a request against the rate limits, but is
+// skipped once INTERIM_RATE_SHARE of a limit is used (the rest is kept for final results)
+const INTERIM_INTERVAL_MS = Number(process.env.INTERIM_INTERVAL_MS || 1500);
+const INTERIM_MIN_NEW_MS = Number(process.env.INTERIM_MIN_NEW_MS || 500);
+const INTERIM_MAX_WINDOW_MS = Number(process.env.INTERIM_MAX_WINDOW_MS || 10000);
+const INTERIM_RATE_SHARE = Number(process.env.INTERIM_RATE_SHARE || 0.5);
+
+// Long-form (opt-in, config.longForm): audio past LONGFORM_SEGMENT_MS is cut at the quietest
+// point after LONGFORM_MIN_SEGMENT_MS and each part is processed as its own utterance
+const LONGFORM_SEGMENT_MS = Number(process.env.LONGFORM_SEGMENT_MS || 20000);
+const LONGFORM_MIN_SEGMENT_MS = Number(process.env.LONGFORM_MIN_SEGMENT_MS || 8000);
 
 // Optional: keep wavs for debugging
 const KEEP_WAV_DEBUG = (process.env.KEEP_WAV_DEBUG || "false").toLowerCase() === "true";
 
+// Providers per stage (see PROVIDERS registry); "mock" runs fully offline and is only
+// registered with MOCK_PROVIDERS=true (development / tests)
+const STT_PROVIDER = (process.env.STT_PROVIDER || "openai").trim();
+const TRANSLATION_PROVIDERS = String(process.env.TRANSLATION_PROVIDERS || (DEEPL_API_KEY ? "deepl,openai" : "openai"))
+  .split(",").map(function(p) { return p.trim(); }).filter(Boolean);
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || "openai").trim();
+const MOCK_PROVIDERS = (process.env.MOCK_PROVIDERS || "false").toLowerCase() === "true";
+const MOCK_LATENCY_MS = Number(process.env.MOCK_LATENCY_MS || 0);
+
+// Provider resilience: per-stage call timeouts, retries with backoff for transient
+// failures (timeout, 429, 5xx, network), and a circuit breaker per provider that
+// opens after BREAKER_FAILURES consecutive failures for BREAKER_COOLDOWN_MS
+const STT_TIMEOUT_MS = Number(process.env.STT_TIMEOUT_MS || 30000);
+const TRANSLATION_TIMEOUT_MS = Number(process.env.TRANSLATION_TIMEOUT_MS || 10000);
+const TTS_TIMEOUT_MS = Number(process.env.TTS_TIMEOUT_MS || 30000);
+const PROVIDER_RETRIES = Number(process.env.PROVIDER_RETRIES || 2);
+const PROVIDER_RETRY_BASE_MS = Number(process.env.PROVIDER_RETRY_BASE_MS || 250);
+const BREAKER_FAILURES = Number(process.env.BREAKER_FAILURES || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30000);
+
+// Session transcripts: kept in memory for TRANSCRIPT_RETENTION_MS after the last update,
+// optionally mirrored to TRANSCRIPT_DIR (one JSON file per session) so they survive a restart
+const TRANSCRIPT_RETENTION_MS = Number(process.env.TRANSCRIPT_RETENTION_MS || 24 * 60 * 60 * 1000);
+const TRANSCRIPT_DIR = (process.env.TRANSCRIPT_DIR || "").trim();
+const TRANSCRIPT_MAX_ENTRIES = Number(process.env.TRANSCRIPT_MAX_ENTRIES || 5000);
+
+// Conversation context: recent source/translation pairs passed to the translator
+const CONTEXT_WINDOW = Number(process.env.CONTEXT_WINDOW || 3);
+const CONTEXT_WINDOW_MAX = Number(process.env.CONTEXT_WINDOW_MAX || 10);
+const CONTEXT_TOPIC_MAX_CHARS = Number(process.env.CONTEXT_TOPIC_MAX_CHARS || 500);
+
+// Glossaries: per language pair term pairs + do-not-translate terms
+const GLOSSARY_MAX_TERMS = Number(process.env.GLOSSARY_MAX_TERMS || 500);
+const GLOSSARY_MAX_TERM_CHARS = Number(process.env.GLOSSARY_MAX_TERM_CHARS || 200);
+const GLOSSARY_MAX_PER_TENANT = Number(process.env.GLOSSARY_MAX_PER_TENANT || 50);
+// DeepL-side glossaries kept alive (LRU); the least recently used one is deleted past this
+const DEEPL_GLOSSARY_MAX = Math.max(1, Number(process.env.DEEPL_GLOSSARY_MAX || 100));
+
+// Result cache (LRU + TTL) for translations and TTS audio; CACHE_DIR mirrors entries to disk
+const CACHE_ENABLED = (process.env.CACHE_ENABLED || "true").toLowerCase() !== "false";
+const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS || 24 * 60 * 60 * 1000);
+const CACHE_DIR = (process.env.CACHE_DIR || "").trim();
+const CACHE_TRANSLATION_MAX_ENTRIES = Number(process.env.CACHE_TRANSLATION_MAX_ENTRIES || 10000);
+const CACHE_TRANSLATION_MAX_BYTES = Number(process.env.CACHE_TRANSLATION_MAX_BYTES || 8 * 1024 * 1024);
+const CACHE_TTS_MAX_ENTRIES = Number(process.env.CACHE_TTS_MAX_ENTRIES || 2000);
+const CACHE_TTS_MAX_BYTES = Number(process.env.CACHE_TTS_MAX_BYTES || 64 * 1024 * 1024);
+const CACHE_STREAM_CHUNK_BYTES = 16 * 1024;
+
+// Prometheus /metrics; with METRICS_TOKEN set it requires Authorization: Bearer <token>
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || "").trim();
+
+// Logging: JSON lines; LOG_REDACT = hash (default) | omit | off for user text and client IPs.
+// LOG_HASH_SALT keeps hashes comparable across restarts (random per process otherwise).
+const LOG_LEVEL = (process.env.LOG_LEVEL || "info").trim().toLowerCase();
+const LOG_REDACT = (process.env.LOG_REDACT || "hash").trim().toLowerCase();
+const LOG_HASH_SALT = (process.env.LOG_HASH_SALT || "").trim() || crypto.randomBytes(16).toString("hex");
+
+// Session resume: a dropped session stays alive for RESUME_GRACE_MS (0 = off) and keeps up
+// to RESUME_BUFFER_MAX_BYTES of unacknowledged outbound messages for replay
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS || 60000);
+const RESUME_BUFFER_MAX_BYTES = Number(process.env.RESUME_BUFFER_MAX_BYTES || 4 * 1024 * 1024);
+
+// Multiple target languages per utterance (config.targetLangs)
+const TARGET_LANGS_MAX = Number(process.env.TARGET_LANGS_MAX || 8);
+
+// Rooms (multi-party, in-process)
+const ROOM_MAX_PARTICIPANTS = Number(process.env.ROOM_MAX_PARTICIPANTS || 16);
+
+// -------------------------
+// Logging
+// -------------------------
+// One JSON record per line: {ts, level, event, conn?, seq?, stage?, ...fields}.
+// Fields named in LOG_PII_FIELDS are hashed / dropped per LOG_REDACT; quality
+// metrics and timings are never redacted. `err` is reduced to {name, message, code, status};
+// its message can echo provider input (user text, glossary terms), so it is redacted too.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_THRESHOLD = LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info;
+const LOG_PII_FIELDS = { text: true, sourceText: true, translation: true, ip: true };
+
+function redactLogValue(value) {
+  if (LOG_REDACT === "off") return typeof value === "string" ? truncate(value, 200) : value;
+  if (LOG_REDACT === "omit") return undefined;
+  var str = String(value);
+  return { sha256: crypto.createHmac("sha256", LOG_HASH_SALT).update(str).digest("hex").slice(0, 16), chars: str.length };
+}
+
+function serializeLogError(err) {
+  if (!err || typeof err !== "object") return { message: redactLogValue(String(err)) };
+  var out = { name: err.name || "Error", message: redactLogValue(String(err.message || err)) };
+  if (err.code) out.code = err.code;
+  if (typeof err.status === "number") out.status = err.status;
+  // the stack's first line repeats the message
+  if (LOG_THRESHOLD <= LOG_LEVELS.debug && err.stack) out.stack = LOG_REDACT === "off" ? err.stack : String(err.stack).split("\n").slice(1).join("\n");
+  return out;
+}
+
+function writeLog(level, event, fields) {
+  if (LOG_LEVELS[level] < LOG_THRESHOLD) return;
+  var record = { ts: new Date().toISOString(), level: level, event: event };
+  if (fields) {
+    Object.keys(fields).forEach(function(k) {
+      var v = fields[k];
+      if (v === undefined) return;
+      if (k === "err") v = serializeLogError(v);
+      else if (LOG_PII_FIELDS[k] && v !== null) v = redactLogValue(v);
+      if (v !== undefined) record[k] = v;
+    });
+  }
+  var line = JSON.stringify(record);
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+const log = {
+  debug: function(event, fields) { writeLog("debug", event, fields); },
+  info: function(event, fields) { writeLog("info", event, fields); },
+  warn: function(event, fields) { writeLog("warn", event, fields); },
+  error: function(event, fields) { writeLog("error", event, fields); },
+};
+
+function round4(n) { return typeof n === "number" && Number.isFinite(n) ? Math.round(n * 10000) / 10000 : null; }
+
 // -------------------------
 // OpenAI
 // -------------------------
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-// -------------------------
-// HALLUCINATION BLACKLIST
-// -------------------------
-const HALLUCINATION_LIST = [
-  "you", "thank you", "thanks", "thanks for watching",
-  "thank you for watching", "thanks for listening",
-  "thank you for listening", "bye", "bye bye", "goodbye",
-  "see you next time", "see you", "subtitles by", "subtitles",
-  "sous-titres", "sous-titrage", "merci",
-  "merci d'avoir regarde", "au revoir",
-  "toi", "moi", "oui", "non", "ok", "okay",
-  "oh", "ah", "hmm", "um", "uh", "huh",
-  "boing boing", "boing", "ding", "ding ding", "beep",
-  "la la la", "blah blah", "i'm sorry", "sorry", "the end",
-  "the", "a", "yeah", "yes", "no", "so", "and", "but",
-  "like", "right", "well", "just", "it", "is", "this", "that",
-  "what", "i", "he", "she", "we", "they", "do", "go",
-  "come", "here", "there", "now", "then", "not", "all",
-  "can", "will", "if", "on", "in", "at", "to", "for",
-  "of", "up", "out", "off", "my", "me", "us",
-  "le", "la", "les", "de", "du", "un", "une", "et", "ou",
-  "je", "tu", "il", "elle", "nous", "vous", "ils", "elles",
-  "ce", "ca", "que", "qui", "si", "ne", "pas", "plus",
-  "est", "sont", "suis", "dit", "fait"
-];
-const HALLUCINATION_SET = new Set(HALLUCINATION_LIST);
+// SDK retries are off: callProvider owns timeouts and retries for every provider
+const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY, maxRetries: 0 }) : null;
+
+// -------------------------
+// HALLUCINATION FILTER DATA
+// -------------------------
+// Blacklists keyed by detected language ("*" applies to every language) plus
+// known Whisper artifacts, language-independent. Both only match the whole text, and only on
+// short or low-confidence audio (a real sentence can contain "thanks for watching"). Loaded from HALLU_FILE,
+// edited at runtime via /v1/admin/hallucinations and written back to the file.
+// languages[lang] = {entries: [as written], set: cleaned forms}; artifacts = {entries, list: [{entry, clean}]}
+var hallucinationData = { languages: {}, artifacts: { entries: [], list: [] }, loadedAt: 0 };
 
 // -------------------------
 // LANGUAGE NORMALIZATION
@@ -213,6 +505,9 @@ function normalizeLangCode(lang) {
   return trimmed.toLowerCase();
 }
 
+// normalizeLangCode passes unknown names through; this tells them apart
+function isLangCode(code) { return typeof code === "string" && /^[a-z]{2,3}$/.test(code); }
+
 function getWhisperHint(rawLang) {
   var code = normalizeLangCode(rawLang);
   if (!code) return undefined;
@@ -221,360 +516,4023 @@ function getWhisperHint(rawLang) {
 }
 
 // -------------------------
-// Express
+// AUTO BIDI (two-way conversation on one device)
 // -------------------------
-const app = express();
-app.disable("x-powered-by");
+const BIDI_FALLBACKS = ["forward", "reverse", "reject"];
 
-app.get("/", function(_req, res) {
-  res.status(200).json({
-    ok: true,
-    service: "instant-talk-backend",
-    version: "2.0",
-    wsPath: WS_PATH,
-    models: { stt: OPENAI_STT_MODEL, tts: OPENAI_TTS_MODEL, translation: OPENAI_TRANSLATION_MODEL },
-    voice: OPENAI_TTS_VOICE,
-    deepl: { enabled: Boolean(DEEPL_API_KEY), primaryEndpoint: DEEPL_API_URL_PRIMARY || null },
-  });
-});
+/**
+ * Resolve translation direction for one utterance.
+ * Non-bidi: always sourceLang -> targetLang.
+ * Bidi: speaker used A -> translate to B, used B -> translate to A;
+ * anything else (or no detection) follows config.bidiFallback.
+ */
+function resolveDirection(config, detectedLang) {
+  var a = config.sourceLang || "";
+  var b = config.targetLang || "en";
+  var detected = normalizeLangCode(detectedLang);
+  var forward = { src: a, tgt: b, direction: "forward", detectedLang: detected || null, ambiguous: false };
+
+  if (!config.auto_bidi) return forward;
+  if (detected && a && detected === a) return forward;
+  if (detected && detected === b) {
+    if (!a) return Object.assign(forward, { ambiguous: true });
+    return { src: b, tgt: a, direction: "reverse", detectedLang: detected, ambiguous: false };
+  }
+
+  var policy = config.bidiFallback || "forward";
+  if (policy === "reject") return { rejected: true, detectedLang: detected || null, direction: null };
+  if (policy === "reverse" && a) return { src: detected || b, tgt: a, direction: "reverse", detectedLang: detected || null, ambiguous: true };
+  return { src: detected || a, tgt: b, direction: "forward", detectedLang: detected || null, ambiguous: true };
+}
 
-app.get("/healthz", function(_req, res) { res.status(200).send("ok"); });
+// null when the tenant's voice scope leaves nothing to speak with (see scopedDefaultVoice)
+function resolveVoice(config, lang) {
+  var voices = config.voices || {};
+  return (lang && voices[lang]) || config.voice || null;
+}
+
+// config.targetLangs: null / [] keeps the single targetLang (and bidi) path.
+// Returns {langs} (normalized, deduplicated) or {error}.
+function parseTargetLangs(raw) {
+  if (raw === null) return { langs: [] };
+  if (!Array.isArray(raw)) return { error: "targetLangs must be an array of language codes" };
+  var langs = [];
+  for (var i = 0; i < raw.length; i++) {
+    var code = typeof raw[i] === "string" ? normalizeLangCode(raw[i]) : "";
+    if (!isLangCode(code)) return { error: "Unknown target language: " + raw[i] };
+    if (langs.indexOf(code) === -1) langs.push(code);
+  }
+  if (langs.length > TARGET_LANGS_MAX) return { error: "Too many target languages (max " + TARGET_LANGS_MAX + ")" };
+  return { langs: langs };
+}
 
 // -------------------------
-// HTTP + WS
+// AUTH (API keys + signed tokens, per-tenant scopes)
 // -------------------------
-const server = http.createServer(app);
-const wss = new WebSocketServer({ noServer: true });
+// Keys file:
+// {
+//   "tenants": { "acme": { "disabled": false, "scopes": { "voices": ["alloy"], "languages": ["fr", "en"], "providers": ["openai", "deepl"] } } },
+//   "keys": [ { "key": "<plain>" | "sha256": "<hex>", "tenant": "acme", "revoked": false } ],
+//   "revokedTokens": ["<jwt jti>"]
+// }
+// A missing scope list (or one containing "*") allows everything.
+var authKeys = { tenants: {}, keysByHash: new Map(), revokedTokens: new Set(), loadedAt: 0 };
 
-server.on("upgrade", function(req, socket, head) {
+function sha256Hex(str) { return crypto.createHash("sha256").update(String(str)).digest("hex"); }
+
+function loadAuthKeys() {
+  if (!AUTH_KEYS_FILE) return;
   try {
-    var url = new URL(req.url || "", "http://" + (req.headers.host || "localhost"));
-    if (url.pathname !== WS_PATH) { socket.destroy(); return; }
-    wss.handleUpgrade(req, socket, head, function(ws) { wss.emit("connection", ws, req); });
-  } catch (e) { socket.destroy(); }
-});
+    var json = JSON.parse(fs.readFileSync(AUTH_KEYS_FILE, "utf8"));
+    var keysByHash = new Map();
+    (Array.isArray(json.keys) ? json.keys : []).forEach(function(k) {
+      if (!k || typeof k.tenant !== "string") return;
+      var hash = typeof k.sha256 === "string" ? k.sha256.toLowerCase() : typeof k.key === "string" ? sha256Hex(k.key) : "";
+      if (hash) keysByHash.set(hash, { tenant: k.tenant, revoked: k.revoked === true });
+    });
+    authKeys = {
+      tenants: json.tenants && typeof json.tenants === "object" ? json.tenants : {},
+      keysByHash: keysByHash,
+      revokedTokens: new Set(Array.isArray(json.revokedTokens) ? json.revokedTokens.map(String) : []),
+      loadedAt: nowMs(),
+    };
+    log.info("auth.loaded", { keys: keysByHash.size, tenants: Object.keys(authKeys.tenants).length, file: AUTH_KEYS_FILE });
+  } catch (e) {
+    // Keep the previous key set: a half-written file must not lock everyone out
+    log.error("auth.load_failed", { file: AUTH_KEYS_FILE, err: e });
+  }
+}
 
-// -------------------------
-// Utils
-// -------------------------
-function nowMs() { return Date.now(); }
-function makeConnId() { return crypto.randomBytes(8).toString("hex"); }
+function watchAuthKeys() {
+  if (!AUTH_KEYS_FILE) return;
+  fs.watchFile(AUTH_KEYS_FILE, { interval: AUTH_RELOAD_MS }, function(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    loadAuthKeys();
+    closeRevokedConnections();
+  });
+}
 
-function safeJsonParse(str) {
-  try { return JSON.parse(str); } catch (e) { return null; }
+function base64UrlDecode(str) {
+  return Buffer.from(String(str).replace(/-/g, "+").replace(/_/g, "/"), "base64");
 }
 
-function sendJson(ws, obj) {
-  if (ws.readyState !== ws.OPEN) return;
-  try { ws.send(JSON.stringify(obj)); } catch (e) { /* ignore */ }
+// JWT HS256: {sub|tenant, exp, nbf?, jti?, scopes?}; tokens without exp never expire, so they are refused
+function verifySignedToken(token) {
+  var parts = token.split(".");
+  if (parts.length !== 3 || !AUTH_HMAC_SECRET) return null;
+  var header = safeJsonParse(base64UrlDecode(parts[0]).toString("utf8"));
+  if (!header || header.alg !== "HS256") return null;
+  var expected = crypto.createHmac("sha256", AUTH_HMAC_SECRET).update(parts[0] + "." + parts[1]).digest();
+  var actual = base64UrlDecode(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  var claims = safeJsonParse(base64UrlDecode(parts[1]).toString("utf8"));
+  if (!claims || typeof claims !== "object") return null;
+  var nowSec = Math.floor(nowMs() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp < nowSec) return null;
+  if (typeof claims.nbf === "number" && claims.nbf > nowSec) return null;
+  return claims;
 }
 
-function truncate(s, max) {
-  if (!max) max = 220;
-  var str = String(s == null ? "" : s);
-  return str.length <= max ? str : str.slice(0, max) + "...";
+function intersectScope(a, b) {
+  if (!Array.isArray(a) || a.indexOf("*") !== -1) return Array.isArray(b) ? b.slice() : undefined;
+  if (!Array.isArray(b) || b.indexOf("*") !== -1) return a.slice();
+  return a.filter(function(v) { return b.indexOf(v) !== -1; });
 }
 
-function sanitizeTextForTTS(text) {
-  var t = String(text == null ? "" : text).trim();
-  if (!t) return "";
-  if (t.length > MAX_TEXT_CHARS) t = t.slice(0, MAX_TEXT_CHARS);
-  return t;
+function tenantScopes(tenantId, tokenScopes) {
+  var tenant = authKeys.tenants[tenantId] || {};
+  var base = tenant.scopes || {};
+  var extra = tokenScopes && typeof tokenScopes === "object" ? tokenScopes : {};
+  return {
+    voices: intersectScope(base.voices, extra.voices),
+    languages: intersectScope(base.languages, extra.languages),
+    providers: intersectScope(base.providers, extra.providers),
+  };
 }
 
-function mapDeepLTargetLang(lang) {
-  var lower = String(lang || "").trim().toLowerCase();
-  if (!lower) return lang;
-  if (lower === "en") return "en-US";
-  if (lower === "pt") return "pt-PT";
-  if (lower === "zh") return "zh-Hans";
-  return lang;
+function isTenantDisabled(tenantId) {
+  var tenant = authKeys.tenants[tenantId];
+  return Boolean(tenant && tenant.disabled === true);
 }
 
-function isDeepLWrongEndpointMessage(rawText) {
-  var t = String(rawText || "");
-  return t.indexOf("Wrong endpoint") !== -1 || t.indexOf("wrong endpoint") !== -1;
+/**
+ * Returns {auth} or {error}. auth = {tenantId, method, keyHash|jti, scopes}.
+ * With auth disabled every caller is the "public" tenant with no restrictions.
+ */
+function authenticateToken(token) {
+  if (!AUTH_REQUIRED) return { auth: { tenantId: "public", method: "none", scopes: {} } };
+  if (!token) return { error: "Missing credentials." };
+
+  if (token.split(".").length === 3 && AUTH_HMAC_SECRET) {
+    var claims = verifySignedToken(token);
+    if (!claims) return { error: "Invalid or expired token." };
+    var tenantId = String(claims.tenant || claims.sub || "");
+    if (!tenantId) return { error: "Token has no tenant." };
+    if (claims.jti && authKeys.revokedTokens.has(String(claims.jti))) return { error: "Token revoked." };
+    if (isTenantDisabled(tenantId)) return { error: "Tenant disabled." };
+    return { auth: { tenantId: tenantId, method: "token", jti: claims.jti ? String(claims.jti) : null, scopes: tenantScopes(tenantId, claims.scopes) } };
+  }
+
+  var keyHash = sha256Hex(token);
+  var entry = authKeys.keysByHash.get(keyHash);
+  if (!entry || entry.revoked) return { error: "Invalid API key." };
+  if (isTenantDisabled(entry.tenant)) return { error: "Tenant disabled." };
+  return { auth: { tenantId: entry.tenant, method: "api_key", keyHash: keyHash, scopes: tenantScopes(entry.tenant, null) } };
 }
 
-function pcmBytesToDurationMs(pcmBytes) {
-  var denom = AUDIO_SAMPLE_RATE * AUDIO_CHANNELS * BYTES_PER_SAMPLE;
-  if (!denom) return 0;
-  return Math.round((pcmBytes / denom) * 1000);
+function isAuthStillValid(auth) {
+  if (!auth || auth.method === "none") return true;
+  if (isTenantDisabled(auth.tenantId)) return false;
+  if (auth.method === "token") return !(auth.jti && authKeys.revokedTokens.has(auth.jti));
+  var entry = authKeys.keysByHash.get(auth.keyHash);
+  return Boolean(entry && !entry.revoked);
 }
 
-function computePcmMetrics(pcmBuffer) {
-  var sampleCount = Math.floor(pcmBuffer.length / 2);
-  if (sampleCount <= 0) return { rms: 0, peak: 0, clipRate: 0, sampleCount: 0 };
-  var sumSq = 0, peak = 0, clipCount = 0;
-  for (var i = 0; i < sampleCount; i++) {
-    var v = pcmBuffer.readInt16LE(i * 2);
-    var a = Math.abs(v) / 32768;
-    sumSq += a * a;
-    if (a > peak) peak = a;
-    if (a >= 0.98) clipCount++;
+function bearerToken(headerValue) {
+  var m = /^Bearer\s+(.+)$/i.exec(String(headerValue || "").trim());
+  return m ? m[1].trim() : "";
+}
+
+// WS: ?token= / ?api_key=, Sec-WebSocket-Protocol "token.<token>", or Authorization: Bearer
+function extractWsToken(req, url) {
+  var q = url.searchParams.get("token") || url.searchParams.get("api_key");
+  if (q) return q;
+  var protocols = String(req.headers["sec-websocket-protocol"] || "").split(",").map(function(p) { return p.trim(); });
+  for (var i = 0; i < protocols.length; i++) {
+    if (protocols[i].indexOf(WS_AUTH_PROTOCOL_PREFIX) === 0) return protocols[i].slice(WS_AUTH_PROTOCOL_PREFIX.length);
   }
-  return { rms: Math.sqrt(sumSq / sampleCount), peak: peak, clipRate: clipCount / sampleCount, sampleCount: sampleCount };
+  return bearerToken(req.headers.authorization);
 }
 
-function applyAGC(pcmBuffer, currentRms) {
-  if (currentRms <= 0.001) return { gain: 1.0, applied: false };
-  var desiredGain = AGC_TARGET_RMS / currentRms;
-  var gain = Math.min(desiredGain, AGC_MAX_GAIN);
-  if (gain > 0.8 && gain < 1.3) return { gain: 1.0, applied: false };
-  var sampleCount = Math.floor(pcmBuffer.length / 2);
-  for (var i = 0; i < sampleCount; i++) {
-    var v = pcmBuffer.readInt16LE(i * 2);
-    v = Math.round(v * gain);
-    if (v > 32767) v = 32767;
-    if (v < -32768) v = -32768;
-    pcmBuffer.writeInt16LE(v, i * 2);
+// Headers only: query strings end up in access logs and proxies (the WS upgrade has no choice)
+function extractHttpToken(req) {
+  return bearerToken(req.headers.authorization) || String(req.headers["x-api-key"] || "").trim();
+}
+
+// Browsers fail the handshake unless one offered subprotocol is echoed; prefer a non-credential one
+function selectWsProtocol(protocols) {
+  var list = Array.from(protocols);
+  for (var i = 0; i < list.length; i++) {
+    if (list[i].indexOf(WS_AUTH_PROTOCOL_PREFIX) !== 0) return list[i];
   }
-  return { gain: Math.round(gain * 100) / 100, applied: true };
+  return list.length ? list[0] : false;
 }
 
-function checkHallucination(text, durationMs, avgNoSpeech, avgLogprob) {
-  var clean = text.trim().toLowerCase().replace(/[.,!?;:\-'"()[\]{}]/g, "").trim();
-  if (HALLUCINATION_SET.has(clean) && durationMs < 2000) {
-    return { rejected: true, reason: "blacklist_short", cleaned: clean };
+function scopeAllows(auth, kind, value) {
+  var list = auth && auth.scopes ? auth.scopes[kind] : undefined;
+  if (!Array.isArray(list) || list.indexOf("*") !== -1) return true;
+  return list.indexOf(value) !== -1;
+}
+
+// Error string for the first provider the tenant may not use, or null
+function checkProvidersScope(auth, providers) {
+  var names = [providers.stt, providers.tts].concat(providers.translation);
+  for (var i = 0; i < names.length; i++) {
+    if (!scopeAllows(auth, "providers", names[i])) return "Provider not allowed for tenant: " + names[i];
   }
-  if (HALLUCINATION_SET.has(clean)) {
-    var bad = false;
-    if (typeof avgNoSpeech === "number" && avgNoSpeech > 0.35) bad = true;
-    if (typeof avgLogprob === "number" && avgLogprob < -0.80) bad = true;
-    if (bad) return { rejected: true, reason: "blacklist_bad_quality", cleaned: clean };
+  return null;
+}
+
+// WS config: error string for the first language/voice/provider outside the tenant's scopes, or null
+function checkConfigScope(auth, msg) {
+  var langs = [], voices = [], providers = [];
+  if (typeof msg.sourceLang === "string" && msg.sourceLang.trim()) langs.push(normalizeLangCode(msg.sourceLang));
+  if (typeof msg.targetLang === "string" && msg.targetLang.trim()) langs.push(normalizeLangCode(msg.targetLang));
+  if (Array.isArray(msg.targetLangs)) {
+    msg.targetLangs.forEach(function(l) { if (typeof l === "string") langs.push(normalizeLangCode(l)); });
   }
-  var words = clean.split(/\s+/).filter(function(w) { return w.length > 0; });
-  if (words.length <= 1 && durationMs > 1500) {
-    return { rejected: true, reason: "single_word_long_audio", cleaned: clean };
+  if (typeof msg.voice === "string" && msg.voice.trim()) voices.push(msg.voice.trim());
+  if (msg.voices && typeof msg.voices === "object") {
+    Object.keys(msg.voices).forEach(function(k) {
+      langs.push(normalizeLangCode(k));
+      if (typeof msg.voices[k] === "string") voices.push(msg.voices[k].trim());
+    });
   }
-  if (words.length >= 4) {
-    var half = Math.floor(words.length / 2);
-    var first = words.slice(0, half).join(" ");
-    var second = words.slice(half, half * 2).join(" ");
-    if (first === second && first.length > 2) {
-      return { rejected: true, reason: "repeated_phrase", cleaned: clean };
-    }
+  if (msg.providers && typeof msg.providers === "object") {
+    ["stt", "tts", "translation"].forEach(function(stage) {
+      if (msg.providers[stage] !== undefined) providers = providers.concat(msg.providers[stage]);
+    });
   }
-  return { rejected: false, cleaned: clean };
+  for (var i = 0; i < langs.length; i++) if (langs[i] && !scopeAllows(auth, "languages", langs[i])) return "Language not allowed for tenant: " + langs[i];
+  for (var j = 0; j < voices.length; j++) if (!scopeAllows(auth, "voices", voices[j])) return "Voice not allowed for tenant: " + voices[j];
+  for (var k = 0; k < providers.length; k++) if (!scopeAllows(auth, "providers", String(providers[k]))) return "Provider not allowed for tenant: " + providers[k];
+  return null;
 }
 
-function pcm16leToWavBuffer(pcmBuffer, sampleRate, channels, bitsPerSample) {
-  var byteRate = (sampleRate * channels * bitsPerSample) / 8;
-  var blockAlign = (channels * bitsPerSample) / 8;
-  var dataSize = pcmBuffer.length;
-  var header = Buffer.alloc(44);
-  header.write("RIFF", 0);
-  header.writeUInt32LE(36 + dataSize, 4);
-  header.write("WAVE", 8);
-  header.write("fmt ", 12);
-  header.writeUInt32LE(16, 16);
-  header.writeUInt16LE(1, 20);
-  header.writeUInt16LE(channels, 22);
-  header.writeUInt32LE(sampleRate, 24);
-  header.writeUInt32LE(byteRate, 28);
-  header.writeUInt16LE(blockAlign, 32);
-  header.writeUInt16LE(bitsPerSample, 34);
-  header.write("data", 36);
-  header.writeUInt32LE(dataSize, 40);
-  return Buffer.concat([header, pcmBuffer]);
+function closeRevokedConnections() {
+  sessions.forEach(function(state) {
+    if (!state.channel.socket && !isAuthStillValid(state.auth)) endSession(state, "revoked");
+  });
+  wss.clients.forEach(function(ws) {
+    if (ws.auth && !isAuthStillValid(ws.auth)) {
+      log.warn("auth.revoked", { conn: ws.connState ? ws.connState.id : undefined, tenant: ws.auth.tenantId });
+      try { ws.close(4401, "Credentials revoked"); } catch (e) {}
+    }
+  });
 }
 
-function cleanupWav(wavPath) {
-  if (!KEEP_WAV_DEBUG) {
-    try { fs.unlinkSync(wavPath); } catch (e) { /* ok */ }
+// -------------------------
+// USAGE METERING, RATE LIMITS, QUOTAS (in-process)
+// -------------------------
+// Counters are kept per connection, per tenant and per client IP; limits are
+// enforced on the "subject" (tenant when authenticated, else IP) before each provider call.
+const usageBuckets = new Map();
+
+function makeUsage() {
+  return { requests: 0, audioSeconds: 0, translationChars: {}, translationCharsTotal: 0, ttsChars: 0 };
+}
+
+function utcDay(ms) { return new Date(ms).toISOString().slice(0, 10); }
+
+function getUsageBucket(key) {
+  var day = utcDay(nowMs());
+  var b = usageBuckets.get(key);
+  if (!b || b.day !== day) {
+    b = { day: day, usage: makeUsage(), minuteWindow: 0, minuteCount: 0 };
+    usageBuckets.set(key, b);
   }
+  return b;
 }
 
-// -------------------------
-// DeepL translate
-// -------------------------
-async function deeplTranslate(text, targetLang) {
-  var mappedTarget = mapDeepLTargetLang(targetLang);
-  var endpointsToTry = [DEEPL_API_URL_PRIMARY, DEEPL_API_URL_ALT].filter(Boolean);
-  var lastErr = null;
+function pruneUsageBuckets() {
+  var day = utcDay(nowMs());
+  usageBuckets.forEach(function(b, key) { if (b.day !== day) usageBuckets.delete(key); });
+}
+setInterval(pruneUsageBuckets, 10 * 60 * 1000).unref();
 
-  for (var idx = 0; idx < endpointsToTry.length; idx++) {
-    var endpoint = endpointsToTry[idx];
-    var t0 = nowMs();
-    try {
-      var body = new URLSearchParams();
-      body.set("auth_key", DEEPL_API_KEY);
-      body.set("text", text);
-      body.set("target_lang", mappedTarget);
-
-      var resp = await fetch(endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: body,
-      });
+function limitsFor(auth) {
+  var tenant = auth && auth.method !== "none" ? authKeys.tenants[auth.tenantId] : null;
+  var q = tenant && tenant.quotas && typeof tenant.quotas === "object" ? tenant.quotas : {};
+  function pick(name, fallback) { return typeof q[name] === "number" && q[name] >= 0 ? q[name] : fallback; }
+  return {
+    requestsPerMinute: pick("requestsPerMinute", RATE_LIMIT_PER_MIN),
+    connectionRequestsPerMinute: pick("connectionRequestsPerMinute", RATE_LIMIT_CONN_PER_MIN),
+    audioSecondsPerDay: pick("audioSecondsPerDay", QUOTA_AUDIO_SECONDS_PER_DAY),
+    translationCharsPerDay: pick("translationCharsPerDay", QUOTA_TRANSLATION_CHARS_PER_DAY),
+    ttsCharsPerDay: pick("ttsCharsPerDay", QUOTA_TTS_CHARS_PER_DAY),
+  };
+}
+
+/**
+ * A meter ties one caller (WS connection or REST request) to its buckets.
+ * conn is the connection's own usage/minute record (null for REST).
+ */
+function makeMeter(auth, ip, conn) {
+  var tenantKey = "tenant:" + (auth ? auth.tenantId : "public");
+  var ipKey = "ip:" + (ip || "unknown");
+  return {
+    auth: auth, ip: ip, conn: conn, tenantKey: tenantKey, ipKey: ipKey,
+    subjectKey: auth && auth.method !== "none" ? tenantKey : ipKey,
+  };
+}
 
-      var raw = await resp.text();
-      var ms = nowMs() - t0;
+function makeConnUsage() { return { usage: makeUsage(), minuteWindow: 0, minuteCount: 0 }; }
 
-      if (!resp.ok) {
-        if (resp.status === 403 && isDeepLWrongEndpointMessage(raw)) {
-          console.warn("[DEEPL] wrong endpoint " + endpoint);
-          lastErr = new Error("DeepL wrong endpoint");
-          continue;
-        }
-        throw new Error("DeepL HTTP " + resp.status + ": " + truncate(raw, 400));
-      }
+function quotaError(stage, kind, limit, used, retryAfterMs) {
+  var err = new Error(kind === "rate" ? "Rate limit exceeded (" + limit + "/min)." : "Daily quota exceeded for " + kind + " (" + used + "/" + limit + ").");
+  err.code = "quota_exceeded";
+  err.stage = stage;
+  err.details = { code: "quota_exceeded", kind: kind, limit: limit, used: used };
+  if (retryAfterMs) err.details.retryAfterMs = retryAfterMs;
+  return err;
+}
 
-      var json = safeJsonParse(raw);
-      var out = json && json.translations && json.translations[0] ? json.translations[0].text : null;
-      if (!out) throw new Error("DeepL empty response");
+function takeMinuteSlot(rec, limit, share) {
+  var win = Math.floor(nowMs() / 60000);
+  if (rec.minuteWindow !== win) { rec.minuteWindow = win; rec.minuteCount = 0; }
+  if (limit > 0 && rec.minuteCount >= (share ? Math.floor(limit * share) : limit)) return false;
+  rec.minuteCount++;
+  return true;
+}
 
-      return { text: out, provider: "deepl", ms: ms };
-    } catch (e) {
-      lastErr = e;
-    }
+// Counts one request (flush / REST call); throws quota_exceeded when over the per-minute limits.
+// share (interim partials) only lets the request through while that fraction of each limit
+// is unused, so partials never take the slots the final result needs
+function enforceRequestRate(meter, stage, share) {
+  var limits = limitsFor(meter.auth);
+  var retry = 60000 - (nowMs() % 60000);
+  if (meter.conn && !takeMinuteSlot(meter.conn, limits.connectionRequestsPerMinute, share)) {
+    throw quotaError(stage, "rate", limits.connectionRequestsPerMinute, meter.conn.minuteCount, retry);
   }
+  var subject = getUsageBucket(meter.subjectKey);
+  if (!takeMinuteSlot(subject, limits.requestsPerMinute, share)) throw quotaError(stage, "rate", limits.requestsPerMinute, subject.minuteCount, retry);
+  recordUsage(meter, "requests", 1);
+}
 
-  throw lastErr || new Error("DeepL failed");
+const QUOTA_FIELDS = {
+  audioSeconds: { limit: "audioSecondsPerDay", stage: "stt" },
+  translationChars: { limit: "translationCharsPerDay", stage: "translation", field: "translationCharsTotal" },
+  ttsChars: { limit: "ttsCharsPerDay", stage: "tts" },
+};
+
+// Throws quota_exceeded if `amount` more of `kind` would go over the subject's daily quota
+function enforceQuota(meter, kind, amount) {
+  if (!meter) return;
+  var spec = QUOTA_FIELDS[kind];
+  var limit = limitsFor(meter.auth)[spec.limit];
+  if (!limit) return;
+  var used = getUsageBucket(meter.subjectKey).usage[spec.field || kind];
+  if (used + amount > limit) throw quotaError(spec.stage, kind, limit, Math.round(used * 100) / 100, 0);
 }
 
-// -------------------------
-// OpenAI translation fallback
-// -------------------------
-async function openaiTranslate(text, sourceLang, targetLang) {
-  var t0 = nowMs();
-  var system = "You are a translation engine for real-time voice translation. Return ONLY the translated text. No quotes, no explanations, no extra lines.";
-  var user = "Translate from " + (sourceLang || "auto") + " to " + targetLang + ":\n\n" + text;
+function addUsage(usage, kind, amount, provider) {
+  if (kind === "translationChars") {
+    usage.translationChars[provider] = (usage.translationChars[provider] || 0) + amount;
+    usage.translationCharsTotal += amount;
+  } else {
+    usage[kind] += amount;
+  }
+}
 
-  var resp = await openai.chat.completions.create({
-    model: OPENAI_TRANSLATION_MODEL,
-    temperature: 0.2,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: user },
-    ],
-  });
+function recordUsage(meter, kind, amount, provider) {
+  if (!meter || !amount) return;
+  var keys = meter.tenantKey === meter.ipKey ? [meter.tenantKey] : [meter.tenantKey, meter.ipKey];
+  keys.forEach(function(key) { addUsage(getUsageBucket(key).usage, kind, amount, provider); });
+  if (meter.conn) addUsage(meter.conn.usage, kind, amount, provider);
+}
 
-  var out = "";
-  try { out = resp.choices[0].message.content.trim(); } catch (e) { out = ""; }
-  return { text: out, provider: "openai", ms: nowMs() - t0 };
+function roundUsage(usage) {
+  return Object.assign({}, usage, { audioSeconds: Math.round(usage.audioSeconds * 100) / 100 });
 }
 
 // -------------------------
-// OpenAI STT (verbose_json)
+// Metrics (Prometheus text format)
 // -------------------------
-async function openaiSTT(wavPath, languageHint) {
-  var t0 = nowMs();
-  var file = fs.createReadStream(wavPath);
+const metricsRegistry = [];
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32];
 
-  var params = {
-    model: OPENAI_STT_MODEL,
-    file: file,
-    response_format: "verbose_json",
-  };
+function escapeLabelValue(v) { return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\""); }
 
-  var hint = getWhisperHint(languageHint);
+function formatLabels(names, values, extra) {
+  var parts = names.map(function(n, i) { return n + "=\"" + escapeLabelValue(values[i]) + "\""; });
+  if (extra) parts.push(extra);
+  return parts.length ? "{" + parts.join(",") + "}" : "";
+}
+
+// Series are keyed by label values in labelNames order; missing labels become ""
+function labelValues(names, labels) {
+  return names.map(function(n) { return labels && labels[n] != null ? String(labels[n]) : ""; });
+}
+
+function makeCounter(name, help, labelNames) {
+  var series = new Map();
+  var metric = {
+    inc: function(labels, amount) {
+      var values = labelValues(labelNames, labels);
+      var key = values.join("\u0001");
+      var s = series.get(key) || { values: values, value: 0 };
+      s.value += amount === undefined ? 1 : amount;
+      series.set(key, s);
+    },
+    render: function() {
+      var lines = ["# HELP " + name + " " + help, "# TYPE " + name + " counter"];
+      if (labelNames.length === 0 && series.size === 0) lines.push(name + " 0");
+      series.forEach(function(s) { lines.push(name + formatLabels(labelNames, s.values) + " " + s.value); });
+      return lines.join("\n");
+    },
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+// Sampled at scrape time
+function makeGauge(name, help, read) {
+  var metric = {
+    render: function() { return ["# HELP " + name + " " + help, "# TYPE " + name + " gauge", name + " " + read()].join("\n"); },
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+function makeHistogram(name, help, labelNames, buckets) {
+  var series = new Map();
+  var metric = {
+    observe: function(labels, value) {
+      if (typeof value !== "number" || !Number.isFinite(value)) return;
+      var values = labelValues(labelNames, labels);
+      var key = values.join("\u0001");
+      var s = series.get(key);
+      if (!s) { s = { values: values, counts: buckets.map(function() { return 0; }), sum: 0, count: 0 }; series.set(key, s); }
+      for (var i = 0; i < buckets.length; i++) if (value <= buckets[i]) s.counts[i]++;
+      s.sum += value;
+      s.count++;
+    },
+    render: function() {
+      var lines = ["# HELP " + name + " " + help, "# TYPE " + name + " histogram"];
+      series.forEach(function(s) {
+        buckets.forEach(function(b, i) { lines.push(name + "_bucket" + formatLabels(labelNames, s.values, "le=\"" + b + "\"") + " " + s.counts[i]); });
+        lines.push(name + "_bucket" + formatLabels(labelNames, s.values, "le=\"+Inf\"") + " " + s.count);
+        lines.push(name + "_sum" + formatLabels(labelNames, s.values) + " " + Math.round(s.sum * 1000) / 1000);
+        lines.push(name + "_count" + formatLabels(labelNames, s.values) + " " + s.count);
+      });
+      return lines.join("\n");
+    },
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+function renderMetrics() {
+  return metricsRegistry.map(function(m) { return m.render(); }).join("\n") + "\n";
+}
+
+const METRICS = {
+  sttSeconds: makeHistogram("instant_talk_stt_duration_seconds", "STT provider latency.", ["provider", "model"], LATENCY_BUCKETS),
+  translationSeconds: makeHistogram("instant_talk_translation_duration_seconds", "Translation latency per serving provider (cache hits as provider=\"cache\").", ["provider", "model"], LATENCY_BUCKETS),
+  ttsSeconds: makeHistogram("instant_talk_tts_duration_seconds", "TTS latency (full synthesis or stream).", ["provider", "model", "mode"], LATENCY_BUCKETS),
+  pipelineSeconds: makeHistogram("instant_talk_pipeline_duration_seconds", "Flush to done, per finished utterance (provider/model as \"stt/translation/tts\").", ["mode", "provider", "model"], LATENCY_BUCKETS),
+  rejections: makeCounter("instant_talk_rejections_total", "Utterances rejected by the audio/STT guards.", ["code", "reason", "source"]),
+  translationFallbacks: makeCounter("instant_talk_translation_fallbacks_total", "Translations served by a fallback provider after the primary failed.", ["provider"]),
+  deeplWrongEndpoint: makeCounter("instant_talk_deepl_wrong_endpoint_total", "DeepL 403 wrong-endpoint responses (free/pro key mismatch).", []),
+  cancellations: makeCounter("instant_talk_cancellations_total", "Utterances cancelled by the client or by barge-in, per stage reached.", ["reason", "stage"]),
+  audioSeconds: makeCounter("instant_talk_audio_seconds_total", "Audio seconds sent to STT.", ["source"]),
+  wsConnections: makeGauge("instant_talk_ws_connections", "Open WebSocket connections.", function() { return wss.clients.size; }),
+  providerRetries: makeCounter("instant_talk_provider_retries_total", "Provider calls retried after a transient failure.", ["stage", "provider", "reason"]),
+  providerFailures: makeCounter("instant_talk_provider_failures_total", "Provider calls that failed after retries.", ["stage", "provider", "reason"]),
+  circuitsOpen: makeGauge("instant_talk_provider_circuits_open", "Provider circuit breakers currently open.", function() {
+    var open = 0;
+    breakers.forEach(function(b) { if (b.state === "open") open++; });
+    return open;
+  }),
+};
+
+// Configured stt / primary translation / tts providers and their models, "/"-joined
+function pipelineLabels(mode, providers) {
+  var stages = [["stt", providers.stt], ["translation", providers.translation[0]], ["tts", providers.tts]];
+  return {
+    mode: mode,
+    provider: stages.map(function(s) { return s[1]; }).join("/"),
+    model: stages.map(function(s) { var p = getProvider(s[0], s[1]); return p && p.model ? p.model : ""; }).join("/"),
+  };
+}
+
+function countRejection(source, code, reason) {
+  METRICS.rejections.inc({ code: code, reason: reason || "", source: source });
+}
+
+// -------------------------
+// Express
+// -------------------------
+const app = express();
+app.disable("x-powered-by");
+
+app.get("/", function(_req, res) {
+  res.status(200).json({
+    ok: true,
+    service: "instant-talk-backend",
+    version: "2.0",
+    wsPath: WS_PATH,
+    models: { stt: OPENAI_STT_MODEL, tts: OPENAI_TTS_MODEL, translation: OPENAI_TRANSLATION_MODEL },
+    voice: OPENAI_TTS_VOICE,
+    deepl: { enabled: Boolean(DEEPL_API_KEY), primaryEndpoint: DEEPL_API_URL_PRIMARY || null },
+    providers: defaultProviders(),
+  });
+});
+
+// Always 200 while the process serves; "degraded" when a default provider's breaker is not closed
+app.get("/healthz", function(_req, res) {
+  var providers = providerHealth();
+  var d = defaultProviders();
+  var degraded = [["stt", d.stt], ["tts", d.tts]].concat(d.translation.map(function(name) { return ["translation", name]; })).some(function(pair) {
+    var h = providers[pair[0]][pair[1]];
+    return Boolean(h) && h.state !== "closed";
+  });
+  res.status(200).json({ ok: true, status: degraded ? "degraded" : "ok", providers: providers });
+});
+
+app.get("/metrics", function(req, res) {
+  if (METRICS_TOKEN && bearerToken(req.headers.authorization) !== METRICS_TOKEN) return res.status(401).send("unauthorized\n");
+  res.status(200).set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
+// -------------------------
+// REST API (/v1) — same stage/code vocabulary as WS errors
+// -------------------------
+function sendHttpError(res, status, stage, message, details) {
+  res.status(status).json({ ok: false, type: "error", stage: stage, message: message, details: details || {} });
+}
+
+function errorMessage(err) { return (err && err.message) ? String(err.message) : "Unknown error"; }
+
+// Quota/rate rejections -> 429 with their details, provider outages (timeout, open
+// breaker, retries exhausted) -> 503, a request the provider refused (bad voice,
+// unsupported language) -> 400 with its http_<status> code, anything else -> 502
+function sendStageError(res, stage, err) {
+  if (err && err.code === "quota_exceeded") {
+    if (err.details.retryAfterMs) res.set("Retry-After", String(Math.ceil(err.details.retryAfterMs / 1000)));
+    return sendHttpError(res, 429, err.stage || stage, errorMessage(err), err.details);
+  }
+  if (err && /_unavailable$/.test(err.code || "")) {
+    if (err.details.retryInMs) res.set("Retry-After", String(Math.ceil(err.details.retryInMs / 1000)));
+    log.warn("rest.provider_unavailable", { stage: err.stage || stage, err: err });
+    return sendHttpError(res, 503, err.stage || stage, errorMessage(err), Object.assign({ code: err.code }, err.details));
+  }
+  log.error("rest.error", { stage: stage, err: err });
+  var details = isProviderError(err) ? Object.assign({ code: err.code }, err.details) : { code: "provider_error" };
+  // The provider's 401/403 means our credentials, not the caller's request
+  var refused = /^http_4\d\d$/.test(details.code) && details.code !== "http_401" && details.code !== "http_403";
+  sendHttpError(res, refused ? 400 : 502, (err && err.stage) || stage, errorMessage(err), details);
+}
+
+app.use("/v1", function(req, res, next) {
+  var result = authenticateToken(extractHttpToken(req));
+  if (result.error) return sendHttpError(res, 401, "auth", result.error, { code: "unauthorized" });
+  req.auth = result.auth;
+  next();
+});
+
+// Optional body/query `providers` override, validated like WS config and against tenant scopes
+function requestProviders(raw, auth) {
+  var pr = parseProvidersConfig(raw, scopedDefaultProviders(auth));
+  if (pr.error) return pr;
+  var scopeErr = checkProvidersScope(auth, pr.providers);
+  return scopeErr ? { error: scopeErr, forbidden: true } : pr;
+}
+
+function forbidden(res, stage, message) {
+  return sendHttpError(res, 403, stage, message, { code: "forbidden" });
+}
+
+app.post("/v1/translate", express.json({ limit: "64kb" }), async function(req, res) {
+  var body = req.body || {};
+  var text = typeof body.text === "string" ? body.text.trim() : "";
+  if (!text) return sendHttpError(res, 400, "translation", "Missing text.", { code: "bad_request" });
+  if (text.length > MAX_TEXT_CHARS) return sendHttpError(res, 413, "translation", "Text too long (max " + MAX_TEXT_CHARS + ").", { code: "text_too_long" });
+  var tgt = normalizeLangCode(body.targetLang);
+  if (!tgt) return sendHttpError(res, 400, "translation", "Missing targetLang.", { code: "bad_request" });
+  var src = normalizeLangCode(body.sourceLang);
+  if (!scopeAllows(req.auth, "languages", tgt) || (src && !scopeAllows(req.auth, "languages", src))) return forbidden(res, "translation", "Language not allowed for tenant.");
+  var pr = requestProviders(body.providers, req.auth);
+  if (pr.error) return pr.forbidden ? forbidden(res, "config", pr.error) : sendHttpError(res, 400, "config", pr.error, { code: "provider_unavailable" });
+  var glossary = null;
+  if (body.glossary !== undefined) {
+    glossary = isValidGlossaryName(body.glossary) ? glossaries.get(glossaryKey(req.auth.tenantId, body.glossary)) : null;
+    if (!glossary) return sendHttpError(res, 404, "glossary", "Glossary not found: " + body.glossary, { code: "not_found" });
+  }
+
+  try {
+    var meter = makeMeter(req.auth, clientIp(req), null);
+    enforceRequestRate(meter, "translation");
+    var tr = await translateText(text, src, tgt, pr.providers.translation, { source: "rest" }, meter, { glossary: glossaryForPair(glossary, src, tgt) });
+    res.status(200).json({ ok: true, text: tr.text, provider: tr.provider, sourceLang: src || "auto", targetLang: tgt, ms: tr.ms, cached: tr.cached, glossary: tr.glossary });
+  } catch (e) {
+    sendStageError(res, "translation", e);
+  }
+});
+
+// Body: raw audio (WAV / Ogg Opus / WebM Opus). Raw PCM needs ?encoding=&sampleRate=&channels=
+// Query: lang (hint), provider (stt override)
+app.post("/v1/transcribe", express.raw({ type: function() { return true; }, limit: MAX_UPLOAD_BYTES }), async function(req, res) {
+  var buf = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (buf.length === 0) return sendHttpError(res, 400, "ingest", "No audio.", { code: "bad_request" });
+  var pr = requestProviders(req.query.provider ? { stt: String(req.query.provider) } : null, req.auth);
+  if (pr.error) return pr.forbidden ? forbidden(res, "config", pr.error) : sendHttpError(res, 400, "config", pr.error, { code: "provider_unavailable" });
+
+  var rawFormat = null;
+  if (req.query.encoding) {
+    var af = parseAudioFormat({ encoding: req.query.encoding, sampleRate: req.query.sampleRate, channels: req.query.channels });
+    if (af.error) return sendHttpError(res, 400, "ingest", af.error, { code: "bad_audio_format", supported: INPUT_ENCODINGS });
+    rawFormat = af.format;
+  }
+
+  var pcm;
+  try {
+    pcm = decodeAudioFile(buf, rawFormat);
+  } catch (decErr) {
+    return sendHttpError(res, 415, "ingest", errorMessage(decErr), { code: decErr.code || "decode_failed" });
+  }
+  if (pcm.length === 0) return sendHttpError(res, 400, "ingest", "No audio.", { code: "bad_request" });
+
+  var durationMs = pcmBytesToDurationMs(pcm.length);
+  var metrics = computePcmMetrics(pcm);
+  var audioGuard = checkAudioGuards(durationMs, metrics);
+  if (audioGuard) {
+    countRejection("rest", audioGuard.code);
+    return sendHttpError(res, 422, "stt", audioGuard.message, audioGuard.details);
+  }
+
+  var lang = normalizeLangCode(req.query.lang);
+  if (lang && !scopeAllows(req.auth, "languages", lang)) return forbidden(res, "stt", "Language not allowed for tenant.");
+  var meter = makeMeter(req.auth, clientIp(req), null);
+  try {
+    enforceRequestRate(meter, "stt");
+    enforceQuota(meter, "audioSeconds", durationMs / 1000);
+  } catch (qe) {
+    return sendStageError(res, "stt", qe);
+  }
+  var dsp = runDspChain(pcm, makeDspConfig(), metrics);
+  var wavPath = path.join(os.tmpdir(), "rest_" + makeConnId() + "_" + Date.now() + ".wav");
+  fs.writeFileSync(wavPath, pcm16leToWavBuffer(dsp.pcm, AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE));
+
+  try {
+    var stt = await transcribeAudio(pr.providers, { wavPath: wavPath, pcm: dsp.pcm, languageHint: lang });
+    recordUsage(meter, "audioSeconds", durationMs / 1000);
+    METRICS.audioSeconds.inc({ source: "rest" }, durationMs / 1000);
+    var text = (stt.text || "").trim();
+    // Verdict mirrors the WS pipeline's guards, but the text is returned either way
+    var verdict = { accepted: true, code: null, reason: null };
+    var sttGuard = checkSttGuards(stt);
+    if (sttGuard) verdict = { accepted: false, code: sttGuard.code, reason: null };
+    else if (!text) verdict = { accepted: false, code: "empty", reason: null };
+    else {
+      var hallu = checkHallucination(text, durationMs, stt.avgNoSpeech, stt.avgLogprob, stt.language || lang);
+      if (hallu.rejected) verdict = { accepted: false, code: "hallucination", reason: hallu.reason };
+    }
+    if (!verdict.accepted) countRejection("rest", verdict.code, verdict.reason);
+    log.info("rest.transcribe", {
+      stage: "stt", provider: pr.providers.stt, ms: stt.ms, durationMs: durationMs, lang: stt.language || null, text: text,
+      accepted: verdict.accepted, code: verdict.code || undefined, reason: verdict.reason || undefined,
+    });
+    res.status(200).json({
+      ok: true, text: text, model: stt.model, ms: stt.ms, detectedLang: stt.language || null,
+      sttQuality: { avgNoSpeech: stt.avgNoSpeech, avgLogprob: stt.avgLogprob, avgCompressionRatio: stt.avgCompressionRatio, segmentsCount: stt.segmentsCount },
+      audio: { durationMs: durationMs, rms: metrics.rms, peak: metrics.peak, clipRate: metrics.clipRate, agcGain: dsp.agcGain, dsp: dsp.report },
+      verdict: verdict,
+    });
+  } catch (e) {
+    sendStageError(res, "stt", e);
+  } finally {
+    cleanupWav(wavPath);
+  }
+});
+
+// Body: {text, voice?, format? (mp3|opus|aac|wav|pcm), providers?} -> audio bytes
+app.post("/v1/speak", express.json({ limit: "64kb" }), async function(req, res) {
+  var body = req.body || {};
+  var text = sanitizeTextForTTS(body.text);
+  if (!text) return sendHttpError(res, 400, "tts", "Missing text.", { code: "bad_request" });
+  var format = typeof body.format === "string" ? body.format : "mp3";
+  if (!TTS_FORMATS[format]) return sendHttpError(res, 400, "tts", "Unsupported format: " + format, { code: "bad_format", supported: Object.keys(TTS_FORMATS) });
+  var voice = typeof body.voice === "string" && body.voice.trim() ? body.voice.trim() : scopedDefaultVoice(req.auth);
+  if (!voice) return forbidden(res, "tts", "No voice allowed for tenant.");
+  if (!scopeAllows(req.auth, "voices", voice)) return forbidden(res, "tts", "Voice not allowed for tenant: " + voice);
+  var pr = requestProviders(body.providers, req.auth);
+  if (pr.error) return pr.forbidden ? forbidden(res, "config", pr.error) : sendHttpError(res, 400, "config", pr.error, { code: "provider_unavailable" });
+
+  try {
+    var meter = makeMeter(req.auth, clientIp(req), null);
+    enforceRequestRate(meter, "tts");
+    enforceQuota(meter, "ttsChars", text.length);
+    var tts = await synthesizeSpeech(pr.providers, text, voice, format);
+    recordUsage(meter, "ttsChars", text.length);
+    log.info("rest.speak", { stage: "tts", provider: pr.providers.tts, ms: tts.ms, bytes: tts.buffer.length, format: tts.format, cached: tts.cached });
+    res.status(200);
+    res.set("Content-Type", tts.mime);
+    res.set("X-TTS-Model", tts.model);
+    res.set("X-TTS-Voice", voice);
+    res.set("X-TTS-Ms", String(tts.ms));
+    res.set("X-Cache", tts.cached ? "hit" : "miss");
+    if (tts.format === "pcm") res.set("X-Sample-Rate", String(TTS_PCM_SAMPLE_RATE));
+    res.send(tts.buffer);
+  } catch (e) {
+    sendStageError(res, "tts", e);
+  }
+});
+
+// Current counters for the caller's tenant (or IP when auth is off) and its live connections
+app.get("/v1/usage", function(req, res) {
+  var meter = makeMeter(req.auth, clientIp(req), null);
+  var subject = getUsageBucket(meter.subjectKey);
+  var connections = [];
+  wss.clients.forEach(function(ws) {
+    var st = ws.connState;
+    if (!st || !st.meter || st.meter.subjectKey !== meter.subjectKey) return;
+    connections.push({ id: st.id, usage: roundUsage(st.usage.usage), requestsThisMinute: st.usage.minuteCount });
+  });
+  res.status(200).json({
+    ok: true, tenant: req.auth.tenantId, subject: meter.subjectKey, day: subject.day,
+    usage: roundUsage(subject.usage), requestsThisMinute: subject.minuteWindow === Math.floor(nowMs() / 60000) ? subject.minuteCount : 0,
+    limits: limitsFor(req.auth), connections: connections,
+  });
+});
+
+// ?format=srt|vtt|json|txt&text=source|translation|both — the session id is visible to room
+// peers, so reading also takes the transcript token only the owning connection received
+app.get("/v1/sessions/:id/transcript", function(req, res) {
+  var t = isValidSessionId(req.params.id) ? transcripts.get(req.params.id) : null;
+  var token = String(req.headers["x-transcript-token"] || req.query.transcript_token || "");
+  if (!t || (AUTH_REQUIRED && t.tenantId !== req.auth.tenantId) || !transcriptTokenMatches(t, token)) {
+    return sendHttpError(res, 404, "transcript", "Session not found.", { code: "not_found" });
+  }
+  var format = String(req.query.format || "json");
+  if (TRANSCRIPT_FORMATS.indexOf(format) === -1) return sendHttpError(res, 400, "transcript", "Unsupported format: " + format, { code: "bad_format", supported: TRANSCRIPT_FORMATS });
+  var which = ["source", "translation", "both"].indexOf(req.query.text) !== -1 ? req.query.text : "both";
+  var out = renderTranscript(t, format, which);
+  if (format === "json") return res.status(200).json(Object.assign({ ok: true }, out));
+  res.status(200).set("Content-Type", TRANSCRIPT_MIME[format] + "; charset=utf-8").send(out);
+});
+
+function adminTokenMatches(token) {
+  if (!ADMIN_TOKEN || !token) return false;
+  var expected = Buffer.from(sha256Hex(ADMIN_TOKEN), "hex");
+  var actual = Buffer.from(sha256Hex(token), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Admin routes: tenants with "admin": true, or X-Admin-Token when auth is off
+// (nobody when auth is off and ADMIN_TOKEN is unset)
+function isAdmin(req) {
+  if (!AUTH_REQUIRED) return adminTokenMatches(String(req.headers["x-admin-token"] || "").trim());
+  var tenant = authKeys.tenants[req.auth.tenantId];
+  return Boolean(tenant && tenant.admin === true);
+}
+
+app.get("/v1/admin/cache", function(req, res) {
+  if (!isAdmin(req)) return forbidden(res, "admin", "Admin only.");
+  res.status(200).json({ ok: true, enabled: CACHE_ENABLED, translation: translationCache.stats(), tts: ttsCache.stats() });
+});
+
+app.delete("/v1/admin/cache", function(req, res) {
+  if (!isAdmin(req)) return forbidden(res, "admin", "Admin only.");
+  translationCache.clear();
+  ttsCache.clear();
+  log.info("cache.cleared", { tenant: req.auth.tenantId });
+  res.status(200).json({ ok: true });
+});
+
+// Hallucination filter data. Body: {lang? ("*" = every language), phrases?: [], artifacts?: []}
+function describeHallucinationData() {
+  var languages = {};
+  Object.keys(hallucinationData.languages).forEach(function(k) { languages[k] = hallucinationData.languages[k].entries; });
+  return { languages: languages, artifacts: hallucinationData.artifacts.entries, file: HALLU_FILE };
+}
+
+function editHallucinations(req, res, add) {
+  if (!isAdmin(req)) return forbidden(res, "admin", "Admin only.");
+  var body = req.body || {};
+  var lang = hallucinationLangKey(body.lang === undefined ? "*" : String(body.lang));
+  if (!lang) return sendHttpError(res, 400, "admin", "Unknown lang: " + body.lang, { code: "bad_request" });
+  var phrases = Array.isArray(body.phrases) ? body.phrases.filter(function(p) { return typeof p === "string" && p.trim(); }) : [];
+  var artifacts = Array.isArray(body.artifacts) ? body.artifacts.filter(function(p) { return typeof p === "string" && p.trim(); }) : [];
+  if (!phrases.length && !artifacts.length) return sendHttpError(res, 400, "admin", "Nothing to change (phrases / artifacts).", { code: "bad_request" });
+
+  function merge(current, changes) {
+    if (add) return current.concat(changes);
+    var drop = new Set(changes.map(cleanHallucinationText));
+    return current.filter(function(e) { return !drop.has(cleanHallucinationText(e)); });
+  }
+  if (phrases.length) {
+    var current = hallucinationData.languages[lang] ? hallucinationData.languages[lang].entries : [];
+    setHallucinationEntries(lang, merge(current, phrases));
+  }
+  if (artifacts.length) setHallucinationArtifacts(merge(hallucinationData.artifacts.entries, artifacts));
+  saveHallucinationData();
+  log.info("hallucination.updated", { tenant: req.auth.tenantId, action: add ? "add" : "remove", lang: lang, phrases: phrases.length, artifacts: artifacts.length });
+  res.status(200).json(Object.assign({ ok: true }, describeHallucinationData()));
+}
+
+app.get("/v1/admin/hallucinations", function(req, res) {
+  if (!isAdmin(req)) return forbidden(res, "admin", "Admin only.");
+  res.status(200).json(Object.assign({ ok: true }, describeHallucinationData()));
+});
+app.post("/v1/admin/hallucinations", express.json({ limit: "64kb" }), function(req, res) { editHallucinations(req, res, true); });
+app.delete("/v1/admin/hallucinations", express.json({ limit: "64kb" }), function(req, res) { editHallucinations(req, res, false); });
+
+// Named glossaries, scoped to the caller's tenant
+function tenantGlossaries(tenantId) {
+  var out = [];
+  glossaries.forEach(function(g) { if (g.tenantId === tenantId) out.push(g); });
+  return out;
+}
+
+app.get("/v1/glossaries", function(req, res) {
+  res.status(200).json({ ok: true, glossaries: tenantGlossaries(req.auth.tenantId).map(describeGlossary) });
+});
+
+app.get("/v1/glossaries/:name", function(req, res) {
+  var g = isValidGlossaryName(req.params.name) ? glossaries.get(glossaryKey(req.auth.tenantId, req.params.name)) : null;
+  if (!g) return sendHttpError(res, 404, "glossary", "Glossary not found.", { code: "not_found" });
+  res.status(200).json({
+    ok: true, name: g.name, updatedAt: new Date(g.updatedAt).toISOString(),
+    pairs: Object.keys(g.pairs).map(function(k) {
+      var p = g.pairs[k];
+      return { sourceLang: p.sourceLang, targetLang: p.targetLang, terms: p.terms, doNotTranslate: p.keep };
+    }),
+  });
+});
+
+app.put("/v1/glossaries/:name", express.json({ limit: "256kb" }), function(req, res) {
+  var name = req.params.name;
+  if (!isValidGlossaryName(name)) return sendHttpError(res, 400, "glossary", "Invalid glossary name.", { code: "bad_request" });
+  var key = glossaryKey(req.auth.tenantId, name);
+  if (!glossaries.has(key) && tenantGlossaries(req.auth.tenantId).length >= GLOSSARY_MAX_PER_TENANT) {
+    return sendHttpError(res, 409, "glossary", "Too many glossaries (max " + GLOSSARY_MAX_PER_TENANT + ").", { code: "limit_reached" });
+  }
+  var parsed = parseGlossary(req.body);
+  if (parsed.error) return sendHttpError(res, 400, "glossary", parsed.error, { code: "bad_glossary" });
+  var g = { name: name, tenantId: req.auth.tenantId, pairs: parsed.pairs, updatedAt: nowMs() };
+  glossaries.set(key, g);
+  log.info("glossary.saved", { tenant: g.tenantId, name: name, pairs: Object.keys(g.pairs).length });
+  res.status(200).json(Object.assign({ ok: true }, describeGlossary(g)));
+});
+
+app.delete("/v1/glossaries/:name", function(req, res) {
+  var key = glossaryKey(req.auth.tenantId, String(req.params.name));
+  if (!isValidGlossaryName(req.params.name) || !glossaries.delete(key)) return sendHttpError(res, 404, "glossary", "Glossary not found.", { code: "not_found" });
+  res.status(200).json({ ok: true, name: req.params.name });
+});
+
+// Body parser failures (bad JSON, oversized upload) in the same error shape
+app.use(function(err, _req, res, next) {
+  if (!err) return next();
+  if (err.type === "entity.too.large") return sendHttpError(res, 413, "ingest", "Payload too large.", { code: "payload_too_large" });
+  if (err.type === "entity.parse.failed") return sendHttpError(res, 400, "request", "Invalid JSON body.", { code: "bad_request" });
+  log.error("rest.error", { err: err });
+  sendHttpError(res, 500, "pipeline", errorMessage(err), { code: "internal" });
+});
+
+// -------------------------
+// HTTP + WS
+// -------------------------
+const server = http.createServer(app);
+const wss = new WebSocketServer({ noServer: true, handleProtocols: selectWsProtocol });
+
+function rejectUpgrade(socket, status, message) {
+  try {
+    socket.write("HTTP/1.1 " + status + " " + message + "\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+  } catch (e) {}
+  socket.destroy();
+}
+
+server.on("upgrade", function(req, socket, head) {
+  try {
+    var url = new URL(req.url || "", "http://" + (req.headers.host || "localhost"));
+    if (url.pathname !== WS_PATH) { socket.destroy(); return; }
+    var result = authenticateToken(extractWsToken(req, url));
+    if (result.error) {
+      log.warn("auth.upgrade_rejected", { reason: result.error, ip: clientIp(req) });
+      rejectUpgrade(socket, 401, "Unauthorized");
+      return;
+    }
+    req.auth = result.auth;
+    wss.handleUpgrade(req, socket, head, function(ws) { wss.emit("connection", ws, req); });
+  } catch (e) { socket.destroy(); }
+});
+
+// -------------------------
+// Utils
+// -------------------------
+function nowMs() { return Date.now(); }
+
+// Clients can put anything in X-Forwarded-For; only the entries appended by our own
+// TRUST_PROXY_HOPS proxies count, so the client is the one that many from the right
+function clientIp(req) {
+  try {
+    var peer = req.socket.remoteAddress || "unknown";
+    if (TRUST_PROXY_HOPS === 0) return peer;
+    var chain = String(req.headers["x-forwarded-for"] || "").split(",").map(function(s) { return s.trim(); }).filter(Boolean);
+    if (chain.length === 0) return peer;
+    return chain[Math.max(0, chain.length - TRUST_PROXY_HOPS)];
+  } catch (e) { return "unknown"; }
+}
+function makeConnId() { return crypto.randomBytes(8).toString("hex"); }
+
+function safeJsonParse(str) {
+  try { return JSON.parse(str); } catch (e) { return null; }
+}
+
+// `ws` is either a raw socket or a session channel (see Session resume);
+// channels keep per-utterance messages (those with a seq) for replay
+// Superseded by the final result, so never kept for resume replay
+const TRANSIENT_TYPES = { stt_partial: true, translation_partial: true };
+
+function sendJson(ws, obj) {
+  if (ws.readyState !== ws.OPEN) return;
+  var data = JSON.stringify(obj);
+  if (ws.deliver) { ws.deliver(data, false, obj.speakerId || TRANSIENT_TYPES[obj.type] ? null : obj.seq); return; }
+  try { ws.send(data); } catch (e) { /* ignore */ }
+}
+
+function sendBinary(ws, buf, seq) {
+  if (ws.readyState !== ws.OPEN) return;
+  if (ws.deliver) { ws.deliver(buf, true, seq); return; }
+  try { ws.send(buf, { binary: true }); } catch (e) { /* ignore */ }
+}
+
+function truncate(s, max) {
+  if (!max) max = 220;
+  var str = String(s == null ? "" : s);
+  return str.length <= max ? str : str.slice(0, max) + "...";
+}
+
+function sanitizeTextForTTS(text) {
+  var t = String(text == null ? "" : text).trim();
+  if (!t) return "";
+  if (t.length > MAX_TEXT_CHARS) t = t.slice(0, MAX_TEXT_CHARS);
+  return t;
+}
+
+function mapDeepLTargetLang(lang) {
+  var lower = String(lang || "").trim().toLowerCase();
+  if (!lower) return lang;
+  if (lower === "en") return "en-US";
+  if (lower === "pt") return "pt-PT";
+  if (lower === "zh") return "zh-Hans";
+  return lang;
+}
+
+function isDeepLWrongEndpointMessage(rawText) {
+  var t = String(rawText || "");
+  return t.indexOf("Wrong endpoint") !== -1 || t.indexOf("wrong endpoint") !== -1;
+}
+
+function pcmBytesToDurationMs(pcmBytes) {
+  var denom = AUDIO_SAMPLE_RATE * AUDIO_CHANNELS * BYTES_PER_SAMPLE;
+  if (!denom) return 0;
+  return Math.round((pcmBytes / denom) * 1000);
+}
+
+function computePcmMetrics(pcmBuffer) {
+  var sampleCount = Math.floor(pcmBuffer.length / 2);
+  if (sampleCount <= 0) return { rms: 0, peak: 0, clipRate: 0, zcr: 0, sampleCount: 0 };
+  var sumSq = 0, peak = 0, clipCount = 0, crossings = 0, prev = 0;
+  for (var i = 0; i < sampleCount; i++) {
+    var v = pcmBuffer.readInt16LE(i * 2);
+    var a = Math.abs(v) / 32768;
+    sumSq += a * a;
+    if (a > peak) peak = a;
+    if (a >= 0.98) clipCount++;
+    if (i > 0 && ((v >= 0 && prev < 0) || (v < 0 && prev >= 0))) crossings++;
+    prev = v;
+  }
+  return {
+    rms: Math.sqrt(sumSq / sampleCount), peak: peak, clipRate: clipCount / sampleCount,
+    zcr: sampleCount > 1 ? crossings / (sampleCount - 1) : 0, sampleCount: sampleCount,
+  };
+}
+
+// Pre-STT guards on the raw utterance. Returns null or {code, message, details}
+function checkAudioGuards(durationMs, metrics) {
+  if (durationMs < MIN_AUDIO_MS_FOR_STT) return { code: "too_short", message: "Too short (" + durationMs + "ms).", details: { code: "too_short" } };
+  if (metrics.rms < MIN_RMS) return { code: "too_quiet", message: "Too quiet.", details: { code: "too_quiet", rms: metrics.rms } };
+  if (metrics.clipRate > MAX_CLIP_RATE) return { code: "clipped", message: "Clipped.", details: { code: "clipped" } };
+  return null;
+}
+
+// Post-STT guards on Whisper's segment statistics. Returns null or {code, message, details}
+function checkSttGuards(stt) {
+  if (typeof stt.avgNoSpeech === "number" && stt.avgNoSpeech > MAX_NO_SPEECH_PROB) {
+    return { code: "no_speech", message: "No speech (p=" + stt.avgNoSpeech.toFixed(3) + ").", details: { code: "no_speech" } };
+  }
+  if (typeof stt.avgLogprob === "number" && stt.avgLogprob < MIN_AVG_LOGPROB) {
+    return { code: "low_conf", message: "Low confidence.", details: { code: "low_conf", avgLogprob: stt.avgLogprob } };
+  }
+  if (typeof stt.avgCompressionRatio === "number" && stt.avgCompressionRatio > MAX_COMPRESSION_RATIO) {
+    return { code: "high_compression", message: "Bad compression ratio.", details: { code: "high_compression" } };
+  }
+  return null;
+}
+
+function cleanHallucinationText(text) {
+  return String(text || "").trim().toLowerCase().replace(/[.,!?;:\-'"()[\]{}]/g, "").replace(/\s+/g, " ").trim();
+}
+
+function hallucinationLangKey(lang) {
+  if (lang === "*") return "*";
+  var code = normalizeLangCode(lang);
+  return isLangCode(code) ? code : "";
+}
+
+function setHallucinationEntries(lang, entries) {
+  var list = [];
+  entries.forEach(function(e) { if (typeof e === "string" && e.trim() && list.indexOf(e.trim()) === -1) list.push(e.trim()); });
+  hallucinationData.languages[lang] = { entries: list, set: new Set(list.map(cleanHallucinationText)) };
+}
+
+function setHallucinationArtifacts(entries) {
+  var list = [];
+  entries.forEach(function(e) { if (typeof e === "string" && e.trim() && list.indexOf(e.trim()) === -1) list.push(e.trim()); });
+  hallucinationData.artifacts = {
+    entries: list,
+    list: list.map(function(e) { return { entry: e, clean: cleanHallucinationText(e) }; }).filter(function(a) { return a.clean; }),
+  };
+}
+
+function loadHallucinationData() {
+  try {
+    var json = JSON.parse(fs.readFileSync(HALLU_FILE, "utf8"));
+    hallucinationData.languages = {};
+    var langs = json.languages && typeof json.languages === "object" ? json.languages : {};
+    Object.keys(langs).forEach(function(k) {
+      var lang = hallucinationLangKey(k);
+      if (lang && Array.isArray(langs[k])) setHallucinationEntries(lang, langs[k]);
+    });
+    setHallucinationArtifacts(Array.isArray(json.artifacts) ? json.artifacts : []);
+    hallucinationData.loadedAt = nowMs();
+    log.info("hallucination.loaded", { file: HALLU_FILE, languages: Object.keys(hallucinationData.languages), artifacts: hallucinationData.artifacts.entries.length });
+  } catch (e) {
+    // Rules that need no data (repeats, single word) keep working without the file
+    log.error("hallucination.load_failed", { file: HALLU_FILE, err: e });
+  }
+}
+
+var hallucinationWriting = Promise.resolve();
+
+function saveHallucinationData() {
+  var languages = {};
+  Object.keys(hallucinationData.languages).sort().forEach(function(k) { languages[k] = hallucinationData.languages[k].entries; });
+  var json = JSON.stringify({ languages: languages, artifacts: hallucinationData.artifacts.entries }, null, 2) + "\n";
+  var tmp = HALLU_FILE + ".tmp";
+  hallucinationWriting = hallucinationWriting.then(function() {
+    return fs.promises.writeFile(tmp, json).then(function() { return fs.promises.rename(tmp, HALLU_FILE); });
+  }).catch(function(e) { log.error("hallucination.save_failed", { file: HALLU_FILE, err: e }); });
+}
+
+function hallucinationEntryCount() {
+  var n = hallucinationData.artifacts.entries.length;
+  Object.keys(hallucinationData.languages).forEach(function(k) { n += hallucinationData.languages[k].entries.length; });
+  return n;
+}
+
+// Unknown language: every list applies (the pre-per-language behaviour)
+function isBlacklisted(clean, lang) {
+  var langs = hallucinationData.languages;
+  var key = hallucinationLangKey(lang);
+  if (langs["*"] && langs["*"].set.has(clean)) return true;
+  if (key) return Boolean(langs[key] && langs[key].set.has(clean));
+  return Object.keys(langs).some(function(k) { return langs[k].set.has(clean); });
+}
+
+function findArtifact(clean) {
+  var list = hallucinationData.artifacts.list;
+  for (var i = 0; i < list.length; i++) {
+    if (list[i].clean === clean) return list[i].entry;
+  }
+  return null;
+}
+
+// An n-gram (n >= 2) repeated `repeats` times back to back, or a single word
+// repeated one more time than that ("no no no" is speech, "no no no no" is not)
+function findRepeatedNgram(words, repeats) {
+  for (var n = 1; n <= HALLU_NGRAM_MAX_N; n++) {
+    var needed = n === 1 ? repeats + 1 : repeats;
+    if (words.length < n * needed) break;
+    for (var start = 0; start + n * needed <= words.length; start++) {
+      var gram = words.slice(start, start + n).join(" ");
+      var count = 1;
+      while (count < needed && words.slice(start + n * count, start + n * (count + 1)).join(" ") === gram) count++;
+      if (count >= needed) return gram;
+    }
+  }
+  return null;
+}
+
+function makeHallucinationConfig() {
+  return {
+    dryRun: HALLU_DRY_RUN, blacklistShortMs: HALLU_BLACKLIST_SHORT_MS, maxNoSpeech: HALLU_MAX_NO_SPEECH,
+    minLogprob: HALLU_MIN_LOGPROB, singleWordMaxMs: HALLU_SINGLE_WORD_MAX_MS, ngramRepeats: HALLU_NGRAM_REPEATS,
+  };
+}
+
+// config.hallucination = {dryRun?, blacklistShortMs?, maxNoSpeech?, minLogprob?, singleWordMaxMs?, ngramRepeats?}
+function parseHallucinationConfig(raw, prev) {
+  var next = Object.assign({}, prev);
+  if (!raw || typeof raw !== "object") return next;
+  if (typeof raw.dryRun === "boolean") next.dryRun = raw.dryRun;
+  next.blacklistShortMs = Math.round(clampNumber(raw.blacklistShortMs, 0, 10000, prev.blacklistShortMs));
+  next.maxNoSpeech = clampNumber(raw.maxNoSpeech, 0, 1, prev.maxNoSpeech);
+  next.minLogprob = clampNumber(raw.minLogprob, -5, 0, prev.minLogprob);
+  next.singleWordMaxMs = Math.round(clampNumber(raw.singleWordMaxMs, 0, 60000, prev.singleWordMaxMs));
+  next.ngramRepeats = Math.round(clampNumber(raw.ngramRepeats, 2, 10, prev.ngramRepeats));
+  return next;
+}
+
+function checkHallucination(text, durationMs, avgNoSpeech, avgLogprob, lang, cfg) {
+  if (!cfg) cfg = makeHallucinationConfig();
+  var clean = cleanHallucinationText(text);
+  var listed = isBlacklisted(clean, lang);
+  var short = durationMs < cfg.blacklistShortMs;
+  var bad = false;
+  if (typeof avgNoSpeech === "number" && avgNoSpeech > cfg.maxNoSpeech) bad = true;
+  if (typeof avgLogprob === "number" && avgLogprob < cfg.minLogprob) bad = true;
+  if (listed && short) {
+    return { rejected: true, reason: "blacklist_short", cleaned: clean };
+  }
+  if (listed && bad) return { rejected: true, reason: "blacklist_bad_quality", cleaned: clean };
+  var artifact = findArtifact(clean);
+  if (artifact && (short || bad)) return { rejected: true, reason: "artifact", match: artifact, cleaned: clean };
+  var words = clean.split(/\s+/).filter(function(w) { return w.length > 0; });
+  if (words.length <= 1 && durationMs > cfg.singleWordMaxMs) {
+    return { rejected: true, reason: "single_word_long_audio", cleaned: clean };
+  }
+  if (words.length >= 4) {
+    var half = Math.floor(words.length / 2);
+    var first = words.slice(0, half).join(" ");
+    var second = words.slice(half, half * 2).join(" ");
+    if (first === second && first.length > 2) {
+      return { rejected: true, reason: "repeated_phrase", cleaned: clean };
+    }
+  }
+  var gram = findRepeatedNgram(words, cfg.ngramRepeats);
+  if (gram) return { rejected: true, reason: "repeated_ngram", match: gram, cleaned: clean };
+  return { rejected: false, cleaned: clean };
+}
+
+function pcm16leToWavBuffer(pcmBuffer, sampleRate, channels, bitsPerSample) {
+  var byteRate = (sampleRate * channels * bitsPerSample) / 8;
+  var blockAlign = (channels * bitsPerSample) / 8;
+  var dataSize = pcmBuffer.length;
+  var header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+function cleanupWav(wavPath) {
+  if (!KEEP_WAV_DEBUG) {
+    try { fs.unlinkSync(wavPath); } catch (e) { /* ok */ }
+  }
+}
+
+// -------------------------
+// Audio input decoding (-> PCM Int16 LE mono 16kHz)
+// -------------------------
+function ingestError(code, message) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function defaultAudioFormat() {
+  return { encoding: "pcm_s16le", sampleRate: AUDIO_SAMPLE_RATE, channels: AUDIO_CHANNELS };
+}
+
+// Accepts "ogg_opus" or {encoding, sampleRate, channels}. Returns {format} or {error}.
+function parseAudioFormat(raw) {
+  var obj = typeof raw === "string" ? { encoding: raw } : raw;
+  if (!obj || typeof obj !== "object") return { error: "audioFormat must be a string or an object" };
+  var encoding = String(obj.encoding || "pcm_s16le").trim().toLowerCase();
+  if (INPUT_ENCODINGS.indexOf(encoding) === -1) return { error: "Unsupported audio encoding: " + encoding };
+  if (encoding === "ogg_opus" || encoding === "webm_opus") return { format: { encoding: encoding, sampleRate: null, channels: null } };
+
+  var sampleRate = obj.sampleRate === undefined ? AUDIO_SAMPLE_RATE : Number(obj.sampleRate);
+  var channels = obj.channels === undefined ? AUDIO_CHANNELS : Number(obj.channels);
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_INPUT_SAMPLE_RATE || sampleRate > MAX_INPUT_SAMPLE_RATE) {
+    return { error: "Invalid sampleRate " + obj.sampleRate + " (" + MIN_INPUT_SAMPLE_RATE + "-" + MAX_INPUT_SAMPLE_RATE + ")" };
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > MAX_INPUT_CHANNELS) {
+    return { error: "Invalid channels " + obj.channels + " (1-" + MAX_INPUT_CHANNELS + ")" };
+  }
+  return { format: { encoding: encoding, sampleRate: sampleRate, channels: channels } };
+}
+
+function detectContainer(buf) {
+  if (buf.length >= 4 && buf.toString("latin1", 0, 4) === "OggS") return "ogg";
+  if (buf.length >= 4 && buf.readUInt32BE(0) === 0x1A45DFA3) return "webm";
+  if (buf.length >= 4 && buf.toString("latin1", 0, 4) === "RIFF") return "wav";
+  return null;
+}
+
+function floatToPcm16(samples) {
+  var out = Buffer.alloc(samples.length * BYTES_PER_SAMPLE);
+  for (var i = 0; i < samples.length; i++) {
+    var v = Math.max(-1, Math.min(1, samples[i]));
+    out.writeInt16LE(Math.round(v < 0 ? v * 32768 : v * 32767), i * BYTES_PER_SAMPLE);
+  }
+  return out;
+}
+
+/**
+ * Streaming resampler (Float32 mono in/out): box-filter anti-aliasing when
+ * downsampling, then linear interpolation. Keeps state across chunks.
+ */
+function makeResampler(inRate, outRate) {
+  if (inRate === outRate) return function(samples) { return samples; };
+  var step = inRate / outRate;
+  var taps = step > 1 ? Math.ceil(step) : 1;
+  var tail = new Float32Array(taps - 1);
+  var last = 0;
+  var pos = 1;
+
+  return function(input) {
+    var filtered = input;
+    if (taps > 1) {
+      var ext = new Float32Array(tail.length + input.length);
+      ext.set(tail);
+      ext.set(input, tail.length);
+      filtered = new Float32Array(input.length);
+      var acc = 0;
+      for (var k = 0; k < taps - 1; k++) acc += ext[k];
+      for (var i = 0; i < input.length; i++) {
+        acc += ext[i + taps - 1];
+        filtered[i] = acc / taps;
+        acc -= ext[i];
+      }
+      tail = ext.slice(ext.length - (taps - 1));
+    }
+
+    var buf = new Float32Array(filtered.length + 1);
+    buf[0] = last;
+    buf.set(filtered, 1);
+    var out = [];
+    while (pos + 1 < buf.length) {
+      var idx = Math.floor(pos);
+      var frac = pos - idx;
+      out.push(buf[idx] * (1 - frac) + buf[idx + 1] * frac);
+      pos += step;
+    }
+    pos -= buf.length - 1;
+    last = buf[buf.length - 1];
+    return Float32Array.from(out);
+  };
+}
+
+function makePcmDecoder(format) {
+  var isFloat = format.encoding === "pcm_f32le";
+  var bytesPerSample = isFloat ? 4 : 2;
+  var frameBytes = bytesPerSample * format.channels;
+  var passthrough = !isFloat && format.channels === AUDIO_CHANNELS && format.sampleRate === AUDIO_SAMPLE_RATE;
+  var resample = makeResampler(format.sampleRate, AUDIO_SAMPLE_RATE);
+  var remainder = null;
+  var started = false;
+
+  return {
+    push: function(chunk) {
+      if (!started) {
+        var container = detectContainer(chunk);
+        if (container) throw ingestError("format_mismatch", "Received a " + container + " stream but audioFormat is " + format.encoding + ".");
+        started = true;
+      }
+      var input = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+      var usable = input.length - (input.length % frameBytes);
+      remainder = usable < input.length ? Buffer.from(input.slice(usable)) : null;
+      if (usable === 0) return null;
+      if (passthrough) return input.slice(0, usable);
+
+      var frames = usable / frameBytes;
+      var mono = new Float32Array(frames);
+      for (var f = 0; f < frames; f++) {
+        var sum = 0;
+        for (var c = 0; c < format.channels; c++) {
+          var off = f * frameBytes + c * bytesPerSample;
+          var v = isFloat ? input.readFloatLE(off) : input.readInt16LE(off) / 32768;
+          // Int16 data or garbage read as float shows up as NaN / huge values
+          if (isFloat && !(Math.abs(v) <= 4)) throw ingestError("format_mismatch", "Invalid pcm_f32le sample (" + v + "); check audioFormat.");
+          sum += v;
+        }
+        mono[f] = sum / format.channels;
+      }
+      return floatToPcm16(resample(mono));
+    },
+    close: function() {},
+  };
+}
+
+// Opus packets -> 16kHz mono PCM (libopus downmixes and resamples internally)
+function makeOpusPacketDecoder() {
+  var opus = null;
+  var skipSamples = 0;
+  return {
+    setPreSkip: function(preSkip48k) { skipSamples = Math.round(preSkip48k / 3); },
+    decode: function(packet) {
+      if (!opus) opus = new OpusScript(AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, OpusScript.Application.AUDIO);
+      var pcm;
+      try { pcm = Buffer.from(opus.decode(packet)); } catch (e) { throw ingestError("decode_failed", "Opus decode failed: " + (e && e.message ? e.message : e)); }
+      if (skipSamples > 0) {
+        var drop = Math.min(skipSamples, pcm.length / BYTES_PER_SAMPLE);
+        skipSamples -= drop;
+        pcm = pcm.slice(drop * BYTES_PER_SAMPLE);
+      }
+      return pcm;
+    },
+    close: function() { if (opus) { try { opus.delete(); } catch (e) {} opus = null; } },
+  };
+}
+
+function makeOggOpusDecoder() {
+  var opus = makeOpusPacketDecoder();
+  var pending = Buffer.alloc(0);
+  var packetParts = [];
+  var headSeen = false;
+  var tagsSeen = false;
+
+  function onPacket(packet, out) {
+    if (!headSeen) {
+      if (packet.length < 19 || packet.toString("latin1", 0, 8) !== "OpusHead") throw ingestError("format_mismatch", "Ogg stream does not contain Opus audio.");
+      opus.setPreSkip(packet.readUInt16LE(10));
+      headSeen = true;
+      return;
+    }
+    if (!tagsSeen && packet.toString("latin1", 0, 8) === "OpusTags") { tagsSeen = true; return; }
+    out.push(opus.decode(packet));
+  }
+
+  return {
+    push: function(chunk) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      var out = [];
+      while (pending.length >= 27) {
+        if (pending.toString("latin1", 0, 4) !== "OggS") throw ingestError("format_mismatch", "Expected an Ogg page (audioFormat is ogg_opus).");
+        var segCount = pending[26];
+        var headerLen = 27 + segCount;
+        if (pending.length < headerLen) break;
+        var bodyLen = 0;
+        for (var i = 0; i < segCount; i++) bodyLen += pending[27 + i];
+        if (pending.length < headerLen + bodyLen) break;
+
+        var off = headerLen;
+        for (var j = 0; j < segCount; j++) {
+          var lace = pending[27 + j];
+          packetParts.push(pending.slice(off, off + lace));
+          off += lace;
+          if (lace < 255) { onPacket(Buffer.concat(packetParts), out); packetParts = []; }
+        }
+        pending = Buffer.from(pending.slice(headerLen + bodyLen));
+      }
+      return out.length ? Buffer.concat(out) : null;
+    },
+    close: function() { opus.close(); },
+  };
+}
+
+// EBML ids the WebM demuxer cares about
+const EBML_HEADER = 0x1A45DFA3;
+const EBML_MASTER_IDS = new Set([0x18538067, 0x1F43B675, 0x1654AE6B, 0xAE, 0xA0]); // Segment, Cluster, Tracks, TrackEntry, BlockGroup
+const EBML_TRACK_ENTRY = 0xAE;
+const EBML_TRACK_NUMBER = 0xD7;
+const EBML_CODEC_ID = 0x86;
+const EBML_CODEC_PRIVATE = 0x63A2;
+const EBML_SIMPLE_BLOCK = 0xA3;
+const EBML_BLOCK = 0xA1;
+
+function readEbmlVint(buf, offset, keepMarker) {
+  if (offset >= buf.length) return null;
+  var first = buf[offset];
+  var len = 1;
+  while (len <= 8 && !(first & (0x80 >> (len - 1)))) len++;
+  if (len > 8) throw ingestError("format_mismatch", "Invalid EBML data (audioFormat is webm_opus).");
+  if (offset + len > buf.length) return null;
+  var value = keepMarker ? first : first & (0xFF >> len);
+  var allOnes = value === (0xFF >> len);
+  for (var i = 1; i < len; i++) {
+    value = value * 256 + buf[offset + i];
+    if (buf[offset + i] !== 0xFF) allOnes = false;
+  }
+  return { value: value, length: len, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Minimal streaming WebM demuxer (MediaRecorder output): walks the element
+ * tree flat, picks the A_OPUS track, decodes its (un-laced) blocks.
+ */
+function makeWebmOpusDecoder() {
+  var opus = makeOpusPacketDecoder();
+  var pending = Buffer.alloc(0);
+  var skipBytes = 0;
+  var started = false;
+  var curTrack = null;
+  var opusTrackNumber = null;
+
+  function onTrackField() {
+    if (curTrack && curTrack.opus && curTrack.number !== undefined && opusTrackNumber === null) opusTrackNumber = curTrack.number;
+  }
+
+  function onBlock(data, out) {
+    var track = readEbmlVint(data, 0, false);
+    if (!track || data.length < track.length + 3) return;
+    if (opusTrackNumber !== null && track.value !== opusTrackNumber) return;
+    var flags = data[track.length + 2];
+    if (flags & 0x06) throw ingestError("unsupported_audio", "Laced WebM blocks are not supported.");
+    out.push(opus.decode(data.slice(track.length + 3)));
+  }
+
+  return {
+    push: function(chunk) {
+      if (!started) {
+        if (chunk.length >= 4 && chunk.readUInt32BE(0) !== EBML_HEADER) throw ingestError("format_mismatch", "Expected a WebM stream (audioFormat is webm_opus).");
+        started = true;
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      var out = [];
+      for (;;) {
+        if (skipBytes > 0) {
+          var n = Math.min(skipBytes, pending.length);
+          pending = pending.slice(n);
+          skipBytes -= n;
+          if (skipBytes > 0) break;
+        }
+        var id = readEbmlVint(pending, 0, true);
+        if (!id) break;
+        var size = readEbmlVint(pending, id.length, false);
+        if (!size) break;
+        var headerLen = id.length + size.length;
+
+        if (EBML_MASTER_IDS.has(id.value)) {
+          if (id.value === EBML_TRACK_ENTRY) curTrack = {};
+          pending = pending.slice(headerLen);
+          continue;
+        }
+        if (size.unknown) throw ingestError("format_mismatch", "Unexpected unknown-size WebM element 0x" + id.value.toString(16) + ".");
+
+        var wanted = [EBML_SIMPLE_BLOCK, EBML_BLOCK, EBML_TRACK_NUMBER, EBML_CODEC_ID, EBML_CODEC_PRIVATE].indexOf(id.value) !== -1;
+        if (!wanted) { pending = pending.slice(headerLen); skipBytes = size.value; continue; }
+        if (pending.length < headerLen + size.value) break;
+
+        var data = pending.slice(headerLen, headerLen + size.value);
+        if (id.value === EBML_SIMPLE_BLOCK || id.value === EBML_BLOCK) onBlock(data, out);
+        else if (curTrack && id.value === EBML_TRACK_NUMBER) { curTrack.number = data.readUIntBE(0, Math.min(6, data.length)); onTrackField(); }
+        else if (curTrack && id.value === EBML_CODEC_ID) { curTrack.opus = data.toString("latin1") === "A_OPUS"; onTrackField(); }
+        else if (curTrack && curTrack.opus && id.value === EBML_CODEC_PRIVATE && data.length >= 12) opus.setPreSkip(data.readUInt16LE(10));
+        pending = pending.slice(headerLen + size.value);
+      }
+      pending = Buffer.from(pending);
+      return out.length ? Buffer.concat(out) : null;
+    },
+    close: function() { opus.close(); },
+  };
+}
+
+// RIFF/WAVE with PCM16 or float32 data (incl. WAVE_FORMAT_EXTENSIBLE)
+function parseWav(buf) {
+  if (buf.length < 12 || buf.toString("latin1", 0, 4) !== "RIFF" || buf.toString("latin1", 8, 12) !== "WAVE") {
+    throw ingestError("unsupported_audio", "Not a WAV file.");
+  }
+  var fmt = null;
+  var off = 12;
+  while (off + 8 <= buf.length) {
+    var id = buf.toString("latin1", off, off + 4);
+    var size = buf.readUInt32LE(off + 4);
+    var body = off + 8;
+    if (id === "fmt " && body + 16 <= buf.length) {
+      var tag = buf.readUInt16LE(body);
+      if (tag === 0xFFFE && size >= 26) tag = buf.readUInt16LE(body + 24);
+      fmt = { tag: tag, channels: buf.readUInt16LE(body + 2), sampleRate: buf.readUInt32LE(body + 4), bits: buf.readUInt16LE(body + 14) };
+    } else if (id === "data") {
+      if (!fmt) throw ingestError("unsupported_audio", "WAV data chunk before fmt chunk.");
+      var encoding = fmt.tag === 1 && fmt.bits === 16 ? "pcm_s16le" : fmt.tag === 3 && fmt.bits === 32 ? "pcm_f32le" : null;
+      if (!encoding) throw ingestError("unsupported_audio", "Unsupported WAV encoding (format " + fmt.tag + ", " + fmt.bits + " bits).");
+      var parsed = parseAudioFormat({ encoding: encoding, sampleRate: fmt.sampleRate, channels: fmt.channels });
+      if (parsed.error) throw ingestError("unsupported_audio", parsed.error);
+      return { format: parsed.format, data: buf.slice(body, Math.min(buf.length, body + size)) };
+    }
+    off = body + size + (size % 2);
+  }
+  throw ingestError("unsupported_audio", "WAV file has no data chunk.");
+}
+
+/**
+ * Decode a complete file (WAV, Ogg Opus, WebM Opus, or raw PCM described by
+ * rawFormat) to PCM Int16 LE mono 16kHz.
+ */
+function decodeAudioFile(buf, rawFormat) {
+  var container = detectContainer(buf);
+  var decoder, data = buf;
+  if (container === "wav") {
+    var wav = parseWav(buf);
+    decoder = makePcmDecoder(wav.format);
+    data = wav.data;
+  } else if (container === "ogg") {
+    decoder = makeOggOpusDecoder();
+  } else if (container === "webm") {
+    decoder = makeWebmOpusDecoder();
+  } else if (rawFormat) {
+    decoder = makeAudioDecoder(rawFormat);
+  } else {
+    throw ingestError("unsupported_audio", "Unrecognized audio container; send WAV, Ogg/WebM Opus, or raw PCM with encoding/sampleRate/channels.");
+  }
+  try {
+    return decoder.push(data) || Buffer.alloc(0);
+  } finally {
+    decoder.close();
+  }
+}
+
+function makeAudioDecoder(format) {
+  if (format.encoding === "ogg_opus") return makeOggOpusDecoder();
+  if (format.encoding === "webm_opus") return makeWebmOpusDecoder();
+  return makePcmDecoder(format);
+}
+
+// -------------------------
+// Audio preprocessing (DSP chain)
+// -------------------------
+// Runs on the whole utterance as float samples in [-1, 1], stage by stage in
+// config.dsp.chain order. A stage returns a report for stt.audio.dsp.stages,
+// or null when it left the audio alone; trim may shorten ctx.samples.
+const DSP_STAGES = {
+  dc: function(ctx) {
+    var x = ctx.samples;
+    var sum = 0;
+    for (var i = 0; i < x.length; i++) sum += x[i];
+    var mean = sum / x.length;
+    if (Math.abs(mean) < 1e-4) return null;
+    for (var j = 0; j < x.length; j++) x[j] -= mean;
+    return { offset: round4(mean) };
+  },
+
+  // 2nd order Butterworth (RBJ biquad) against hum and rumble
+  highpass: function(ctx, cfg) {
+    var x = ctx.samples;
+    var w0 = 2 * Math.PI * cfg.highpassHz / AUDIO_SAMPLE_RATE;
+    var cos = Math.cos(w0);
+    var alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    var a0 = 1 + alpha;
+    var b0 = (1 + cos) / 2 / a0, b1 = -(1 + cos) / a0, b2 = b0;
+    var a1 = -2 * cos / a0, a2 = (1 - alpha) / a0;
+    var x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (var i = 0; i < x.length; i++) {
+      var v = x[i];
+      var y = b0 * v + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = v; y2 = y1; y1 = y;
+      x[i] = y;
+    }
+    return { cutoffHz: cfg.highpassHz };
+  },
+
+  denoise: function(ctx, cfg) {
+    return cfg.denoise.mode === "spectral" ? spectralSubtract(ctx.samples, cfg.denoise) : noiseGate(ctx.samples, cfg.denoise);
+  },
+
+  agc: function(ctx, cfg) { return windowedAgc(ctx.samples, cfg.agc); },
+
+  // Leading/trailing silence, keeping padMs around the speech and never going
+  // below MIN_AUDIO_MS_FOR_STT
+  trim: function(ctx, cfg) {
+    var x = ctx.samples;
+    var frame = DSP_FRAME_SAMPLES;
+    var rms = frameRms(x, frame);
+    var first = -1, last = -1;
+    for (var i = 0; i < rms.length; i++) {
+      if (rms[i] < cfg.trim.thresholdRms) continue;
+      if (first === -1) first = i;
+      last = i;
+    }
+    if (first === -1) return null;
+    var pad = Math.round(cfg.trim.padMs * AUDIO_SAMPLE_RATE / 1000);
+    var start = Math.max(0, first * frame - pad);
+    var end = Math.min(x.length, (last + 1) * frame + pad);
+    if (start === 0 && end === x.length) return null;
+    if (end - start < MIN_AUDIO_MS_FOR_STT * AUDIO_SAMPLE_RATE / 1000) return null;
+    ctx.samples = x.subarray(start, end);
+    return { leadMs: Math.round(start * 1000 / AUDIO_SAMPLE_RATE), trailMs: Math.round((x.length - end) * 1000 / AUDIO_SAMPLE_RATE) };
+  },
+};
+
+const DSP_FRAME_SAMPLES = AUDIO_SAMPLE_RATE * VAD_FRAME_MS / 1000;
+const DSP_DENOISE_MODES = ["gate", "spectral"];
+
+function frameRms(x, frame) {
+  var out = [];
+  for (var start = 0; start < x.length; start += frame) {
+    var end = Math.min(x.length, start + frame);
+    var sumSq = 0;
+    for (var i = start; i < end; i++) sumSq += x[i] * x[i];
+    out.push(Math.sqrt(sumSq / (end - start)));
+  }
+  return out;
+}
+
+// Noise floor: the 10th percentile frame level
+function noiseFloorOf(rms) {
+  var sorted = rms.slice().sort(function(a, b) { return a - b; });
+  return sorted[Math.floor(sorted.length * 0.1)] || 0;
+}
+
+// Frames near the noise floor (and not next to speech) are attenuated by
+// reductionDb, with the gain ramped across each frame to avoid clicks
+function noiseGate(x, opts) {
+  var frame = DSP_FRAME_SAMPLES;
+  var rms = frameRms(x, frame);
+  var floor = noiseFloorOf(rms);
+  var open = Math.max(floor * 2, 0.002);
+  var closedGain = Math.pow(10, -opts.reductionDb / 20);
+  var hold = 3;
+  // Nothing stands out from the floor: no way to tell speech from noise
+  if (rms.every(function(r) { return r < open; })) return null;
+  var gated = 0;
+  var prevGain = 1;
+  for (var f = 0; f < rms.length; f++) {
+    var speech = false;
+    for (var k = Math.max(0, f - hold); k <= Math.min(rms.length - 1, f + hold); k++) if (rms[k] >= open) speech = true;
+    var gain = speech ? 1 : closedGain;
+    if (!speech) gated++;
+    var start = f * frame;
+    var end = Math.min(x.length, start + frame);
+    for (var i = start; i < end; i++) x[i] *= prevGain + (gain - prevGain) * (i - start + 1) / (end - start);
+    prevGain = gain;
+  }
+  if (!gated) return null;
+  return { mode: "gate", noiseFloor: round4(floor), gatedRatio: round4(gated / rms.length) };
+}
+
+// In-place iterative radix-2 FFT; inverse via the conjugate trick
+function fft(re, im, inverse) {
+  var n = re.length;
+  for (var i = 1, j = 0; i < n; i++) {
+    var bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      var tr = re[i]; re[i] = re[j]; re[j] = tr;
+      var ti = im[i]; im[i] = im[j]; im[j] = ti;
+    }
+  }
+  var sign = inverse ? 1 : -1;
+  for (var len = 2; len <= n; len <<= 1) {
+    var ang = sign * 2 * Math.PI / len;
+    var wr = Math.cos(ang), wi = Math.sin(ang);
+    for (var s = 0; s < n; s += len) {
+      var cr = 1, ci = 0;
+      for (var k = 0; k < len / 2; k++) {
+        var ar = re[s + k + len / 2] * cr - im[s + k + len / 2] * ci;
+        var ai = re[s + k + len / 2] * ci + im[s + k + len / 2] * cr;
+        re[s + k + len / 2] = re[s + k] - ar; im[s + k + len / 2] = im[s + k] - ai;
+        re[s + k] += ar; im[s + k] += ai;
+        var nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+  if (inverse) for (var m = 0; m < n; m++) { re[m] /= n; im[m] /= n; }
+}
+
+// Magnitude spectral subtraction (512-point frames, 50% overlap, sqrt-Hann
+// analysis + synthesis). The noise spectrum is the mean of the quietest 10% of
+// frames; each bin keeps at least 10^(-reductionDb/20) of its magnitude.
+function spectralSubtract(x, opts) {
+  var n = 512, hop = n / 2;
+  if (x.length < n * 4) return null;
+  var win = new Float64Array(n);
+  for (var w = 0; w < n; w++) win[w] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * w / n));
+  var frames = Math.ceil(x.length / hop);
+  var spectra = [];
+  var energy = [];
+  for (var f = 0; f < frames; f++) {
+    var re = new Float64Array(n), im = new Float64Array(n);
+    for (var i = 0; i < n; i++) re[i] = (x[f * hop + i] || 0) * win[i];
+    fft(re, im, false);
+    var e = 0;
+    for (var b = 0; b < n; b++) e += re[b] * re[b] + im[b] * im[b];
+    spectra.push({ re: re, im: im });
+    energy.push(e);
+  }
+  var order = energy.map(function(e, idx) { return idx; }).sort(function(a, c) { return energy[a] - energy[c]; });
+  var quiet = order.slice(0, Math.max(1, Math.floor(frames * 0.1)));
+  var noise = new Float64Array(n);
+  quiet.forEach(function(idx) {
+    var sp = spectra[idx];
+    for (var q = 0; q < n; q++) noise[q] += Math.hypot(sp.re[q], sp.im[q]) / quiet.length;
+  });
+  var floorGain = Math.pow(10, -opts.reductionDb / 20);
+  var out = new Float64Array(x.length + n);
+  spectra.forEach(function(sp, idx) {
+    for (var q = 0; q < n; q++) {
+      var mag = Math.hypot(sp.re[q], sp.im[q]);
+      if (mag === 0) continue;
+      var gain = Math.max(floorGain, (mag - 2 * noise[q]) / mag);
+      sp.re[q] *= gain; sp.im[q] *= gain;
+    }
+    fft(sp.re, sp.im, true);
+    for (var t = 0; t < n; t++) out[idx * hop + t] += sp.re[t] * win[t];
+  });
+  // The first half frame only got one window: copy it through unchanged
+  for (var h = 0; h < x.length; h++) if (h >= hop) x[h] = out[h];
+  var noiseRms = Math.sqrt(quiet.reduce(function(sum, idx) { return sum + energy[idx]; }, 0) / quiet.length / n / n * 2);
+  return { mode: "spectral", noiseFloor: round4(noiseRms), frames: frames };
+}
+
+// Per-window gain towards targetRms (capped at maxGain, quiet windows are not
+// boosted), interpolated between window centres, then a peak limiter at ceiling
+function windowedAgc(x, opts) {
+  var win = Math.max(DSP_FRAME_SAMPLES, Math.round(opts.windowMs * AUDIO_SAMPLE_RATE / 1000));
+  var rms = frameRms(x, win);
+  var gains = rms.map(function(r) {
+    if (r < MIN_RMS) return 1;
+    return Math.max(1 / opts.maxGain, Math.min(opts.maxGain, opts.targetRms / r));
+  });
+  var sumGain = 0, minGain = Infinity, maxGain = 0, limited = 0;
+  var release = Math.exp(-1 / (0.05 * AUDIO_SAMPLE_RATE));
+  var env = 0;
+  for (var i = 0; i < x.length; i++) {
+    var pos = i / win - 0.5;
+    var w0 = Math.max(0, Math.min(gains.length - 1, Math.floor(pos)));
+    var w1 = Math.min(gains.length - 1, w0 + 1);
+    var frac = Math.max(0, Math.min(1, pos - w0));
+    var gain = gains[w0] + (gains[w1] - gains[w0]) * frac;
+    sumGain += gain;
+    if (gain < minGain) minGain = gain;
+    if (gain > maxGain) maxGain = gain;
+    var v = x[i] * gain;
+    env = Math.max(Math.abs(v), env * release);
+    if (env > opts.ceiling) { v *= opts.ceiling / env; limited++; }
+    x[i] = v;
+  }
+  var avg = sumGain / x.length;
+  if (maxGain - minGain < 0.01 && Math.abs(avg - 1) < 0.01 && !limited) return null;
+  return {
+    gain: Math.round(avg * 100) / 100, minGain: Math.round(minGain * 100) / 100, maxGain: Math.round(maxGain * 100) / 100,
+    limitedRatio: round4(limited / x.length),
+  };
+}
+
+function validDspChain(list) { return list.filter(function(name) { return DSP_STAGES[name]; }); }
+
+function makeDspConfig() {
+  return {
+    chain: validDspChain(DSP_CHAIN),
+    highpassHz: DSP_HIGHPASS_HZ,
+    denoise: { mode: DSP_DENOISE_MODES.indexOf(DSP_DENOISE_MODE) !== -1 ? DSP_DENOISE_MODE : "gate", reductionDb: DSP_DENOISE_REDUCTION_DB },
+    agc: { targetRms: AGC_TARGET_RMS, maxGain: AGC_MAX_GAIN, windowMs: AGC_WINDOW_MS, ceiling: AGC_CEILING },
+    trim: { thresholdRms: DSP_TRIM_THRESHOLD, padMs: DSP_TRIM_PAD_MS },
+  };
+}
+
+// Accepts `dsp: true|false` (DSP_ENABLED_CHAIN / none) or
+// `dsp: {chain, highpassHz, denoise: {mode, reductionDb}, agc: {targetRms, maxGain, windowMs, ceiling}, trim: {thresholdRms, padMs}}`.
+// Returns {config} or {error}.
+function parseDspConfig(raw, prev) {
+  var next = JSON.parse(JSON.stringify(prev || makeDspConfig()));
+  if (typeof raw === "boolean") { next.chain = raw ? validDspChain(DSP_ENABLED_CHAIN) : []; return { config: next }; }
+  if (!raw || typeof raw !== "object") return { error: "dsp must be a boolean or an object" };
+  if (raw.chain !== undefined) {
+    if (!Array.isArray(raw.chain)) return { error: "dsp.chain must be an array of stage names" };
+    var unknown = raw.chain.filter(function(name) { return !DSP_STAGES[name]; });
+    if (unknown.length) return { error: "Unknown dsp stage: " + unknown.join(", ") };
+    next.chain = raw.chain.filter(function(name, i) { return raw.chain.indexOf(name) === i; });
+  }
+  next.highpassHz = clampNumber(raw.highpassHz, 20, 1000, next.highpassHz);
+  if (raw.denoise && typeof raw.denoise === "object") {
+    if (raw.denoise.mode !== undefined && DSP_DENOISE_MODES.indexOf(raw.denoise.mode) === -1) return { error: "Unknown dsp.denoise.mode: " + raw.denoise.mode };
+    if (raw.denoise.mode) next.denoise.mode = raw.denoise.mode;
+    next.denoise.reductionDb = clampNumber(raw.denoise.reductionDb, 0, 40, next.denoise.reductionDb);
+  }
+  if (raw.agc && typeof raw.agc === "object") {
+    next.agc.targetRms = clampNumber(raw.agc.targetRms, 0.01, 0.5, next.agc.targetRms);
+    next.agc.maxGain = clampNumber(raw.agc.maxGain, 1, 30, next.agc.maxGain);
+    next.agc.windowMs = clampNumber(raw.agc.windowMs, 50, 5000, next.agc.windowMs);
+    next.agc.ceiling = clampNumber(raw.agc.ceiling, 0.1, 1, next.agc.ceiling);
+  }
+  if (raw.trim && typeof raw.trim === "object") {
+    next.trim.thresholdRms = clampNumber(raw.trim.thresholdRms, 0.001, 0.2, next.trim.thresholdRms);
+    next.trim.padMs = clampNumber(raw.trim.padMs, 0, 2000, next.trim.padMs);
+  }
+  return { config: next };
+}
+
+function dspLevels(metrics, bytes) {
+  return { durationMs: pcmBytesToDurationMs(bytes), rms: round4(metrics.rms), peak: round4(metrics.peak), clipRate: round4(metrics.clipRate) };
+}
+
+/**
+ * Returns a new buffer; `pcm` is left untouched. report: {stages: [{stage, ...}],
+ * before, after} with before/after = {durationMs, rms, peak, clipRate}.
+ * agcGain is the agc stage's mean gain (1 when it did not run).
+ */
+function runDspChain(pcm, cfg, beforeMetrics) {
+  var ctx = { samples: new Float32Array(pcm.length / BYTES_PER_SAMPLE) };
+  for (var i = 0; i < ctx.samples.length; i++) ctx.samples[i] = pcm.readInt16LE(i * BYTES_PER_SAMPLE) / 32768;
+  var stages = [];
+  var agcGain = 1;
+  cfg.chain.forEach(function(name) {
+    var report = DSP_STAGES[name](ctx, cfg);
+    if (!report) return;
+    if (name === "agc") agcGain = report.gain;
+    stages.push(Object.assign({ stage: name }, report));
+  });
+  var out = stages.length ? floatToPcm16(ctx.samples) : Buffer.from(pcm);
+  return {
+    pcm: out, agcGain: agcGain,
+    report: { stages: stages, before: dspLevels(beforeMetrics || computePcmMetrics(pcm), pcm.length), after: dspLevels(computePcmMetrics(out), out.length) },
+  };
+}
+
+// -------------------------
+// VAD (frame-level energy + zero-crossing endpointing)
+// -------------------------
+function clampNumber(value, min, max, fallback) {
+  var n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function makeVadConfig() {
+  return {
+    enabled: false, threshold: VAD_THRESHOLD, hangoverMs: VAD_HANGOVER_MS, preRollMs: VAD_PREROLL_MS,
+    minSpeechMs: VAD_MIN_SPEECH_MS, maxUtteranceMs: VAD_MAX_UTTERANCE_MS,
+  };
+}
+
+// Accepts `vad: true|false` or `vad: {enabled, threshold, hangoverMs, preRollMs, minSpeechMs, maxUtteranceMs}`
+function parseVadConfig(raw, prev) {
+  var next = Object.assign({}, prev || makeVadConfig());
+  if (typeof raw === "boolean") { next.enabled = raw; return next; }
+  if (!raw || typeof raw !== "object") return next;
+  next.enabled = raw.enabled !== false;
+  var maxMs = pcmBytesToDurationMs(MAX_PCM_BYTES_PER_UTTERANCE);
+  next.threshold = clampNumber(raw.threshold, 0.001, 0.5, next.threshold);
+  next.hangoverMs = clampNumber(raw.hangoverMs, 100, 5000, next.hangoverMs);
+  next.preRollMs = clampNumber(raw.preRollMs, 0, 2000, next.preRollMs);
+  next.minSpeechMs = clampNumber(raw.minSpeechMs, VAD_FRAME_MS, 2000, next.minSpeechMs);
+  next.maxUtteranceMs = clampNumber(raw.maxUtteranceMs, 1000, maxMs, Math.min(next.maxUtteranceMs, maxMs));
+  return next;
+}
+
+function makeVadState() {
+  return {
+    inSpeech: false, remainder: null, noiseFloor: null,
+    preRoll: [], preRollBytes: 0, speechRunMs: 0, silenceRunMs: 0, trailingSilenceBytes: 0,
+  };
+}
+
+function resetVadState(state) { state.vad = makeVadState(); }
+
+function vadFrameBytes() {
+  return (AUDIO_SAMPLE_RATE * VAD_FRAME_MS / 1000) * AUDIO_CHANNELS * BYTES_PER_SAMPLE;
+}
+
+function isVadSpeechFrame(vad, cfg, frameMetrics) {
+  var threshold = cfg.threshold;
+  if (vad.noiseFloor !== null) threshold = Math.max(threshold, vad.noiseFloor * VAD_NOISE_RATIO);
+  if (frameMetrics.rms < threshold) return false;
+  // High ZCR at moderate energy is hiss/fan noise, not voice; loud frames always count
+  return frameMetrics.zcr <= VAD_MAX_ZCR || frameMetrics.rms >= threshold * 3;
+}
+
+function trimPcmTail(state, bytes) {
+  while (bytes > 0 && state.pcmChunks.length > 0) {
+    var last = state.pcmChunks[state.pcmChunks.length - 1];
+    if (last.length <= bytes) {
+      state.pcmChunks.pop();
+      state.pcmBytes -= last.length;
+      bytes -= last.length;
+    } else {
+      state.pcmChunks[state.pcmChunks.length - 1] = last.slice(0, last.length - bytes);
+      state.pcmBytes -= bytes;
+      bytes = 0;
+    }
+  }
+}
+
+function vadEndOfSpeech(ws, state, reason) {
+  var cfg = state.config.vad;
+  var vad = state.vad;
+  var padBytes = Math.round(cfg.preRollMs / VAD_FRAME_MS) * vadFrameBytes();
+  trimPcmTail(state, Math.max(0, vad.trailingSilenceBytes - padBytes));
+
+  var durationMs = pcmBytesToDurationMs(state.pcmBytes);
+  var flushed = durationMs >= MIN_AUDIO_MS_FOR_STT;
+  vad.inSpeech = false;
+  vad.speechRunMs = 0;
+  vad.silenceRunMs = 0;
+  vad.trailingSilenceBytes = 0;
+
+  log.info("vad.end", { conn: state.id, reason: reason, durationMs: durationMs, flushed: flushed });
+  sendJson(ws, { type: "vad_end", reason: reason, durationMs: durationMs, flushed: flushed });
+
+  if (!flushed) {
+    resetAudioBuffer(state);
+    // A long-form recording still gets its (empty) last part
+    if (state.longForm) enqueueFlush(state);
+    return;
+  }
+  enqueueFlush(state);
+}
+
+function vadIngest(ws, state, buf) {
+  var cfg = state.config.vad;
+  var vad = state.vad;
+  var frameBytes = vadFrameBytes();
+  var input = vad.remainder ? Buffer.concat([vad.remainder, buf]) : buf;
+  var offset = 0;
+
+  for (; offset + frameBytes <= input.length; offset += frameBytes) {
+    var frame = input.slice(offset, offset + frameBytes);
+    var fm = computePcmMetrics(frame);
+    var speech = isVadSpeechFrame(vad, cfg, fm);
+
+    if (!vad.inSpeech) {
+      if (!speech) {
+        vad.noiseFloor = vad.noiseFloor === null ? fm.rms : vad.noiseFloor * 0.95 + fm.rms * 0.05;
+        vad.speechRunMs = 0;
+      } else {
+        vad.speechRunMs += VAD_FRAME_MS;
+      }
+
+      // Pre-roll ring keeps the leading pad plus the not-yet-confirmed speech frames
+      vad.preRoll.push(frame);
+      vad.preRollBytes += frame.length;
+      var maxRingBytes = Math.round((cfg.preRollMs + cfg.minSpeechMs) / VAD_FRAME_MS) * frameBytes;
+      while (vad.preRollBytes > maxRingBytes && vad.preRoll.length > 0) vad.preRollBytes -= vad.preRoll.shift().length;
+
+      if (vad.speechRunMs >= cfg.minSpeechMs) {
+        vad.inSpeech = true;
+        vad.silenceRunMs = 0;
+        vad.trailingSilenceBytes = 0;
+        for (var p = 0; p < vad.preRoll.length; p++) appendPcm(state, vad.preRoll[p]);
+        vad.preRoll = [];
+        vad.preRollBytes = 0;
+        log.info("vad.start", { conn: state.id, noiseFloor: vad.noiseFloor === null ? null : round4(vad.noiseFloor) });
+        sendJson(ws, { type: "vad_start", preRollMs: cfg.preRollMs });
+        if (state.config.bargeIn) bargeIn(ws, state);
+      }
+      continue;
+    }
+
+    appendPcm(state, frame);
+    if (speech) {
+      vad.silenceRunMs = 0;
+      vad.trailingSilenceBytes = 0;
+    } else {
+      vad.silenceRunMs += VAD_FRAME_MS;
+      vad.trailingSilenceBytes += frame.length;
+    }
+
+    if (vad.silenceRunMs >= cfg.hangoverMs) vadEndOfSpeech(ws, state, "silence");
+    else if (pcmBytesToDurationMs(state.pcmBytes) >= cfg.maxUtteranceMs) vadEndOfSpeech(ws, state, "max_length");
+  }
+
+  vad.remainder = offset < input.length ? Buffer.from(input.slice(offset)) : null;
+}
+
+// -------------------------
+// Interim transcripts
+// -------------------------
+function makeInterimConfig() {
+  return { enabled: false, intervalMs: INTERIM_INTERVAL_MS, minNewMs: INTERIM_MIN_NEW_MS, translate: false, maxWindowMs: INTERIM_MAX_WINDOW_MS };
+}
+
+// Accepts `interim: true|false` or `interim: {enabled, intervalMs, minNewMs, translate, maxWindowMs}`
+function parseInterimConfig(raw, prev) {
+  var next = Object.assign({}, prev || makeInterimConfig());
+  if (typeof raw === "boolean") { next.enabled = raw; return next; }
+  if (!raw || typeof raw !== "object") return next;
+  next.enabled = raw.enabled !== false;
+  next.intervalMs = clampNumber(raw.intervalMs, 500, 10000, next.intervalMs);
+  next.minNewMs = clampNumber(raw.minNewMs, 100, 10000, next.minNewMs);
+  next.maxWindowMs = clampNumber(raw.maxWindowMs, 1000, 60000, next.maxWindowMs);
+  if (typeof raw.translate === "boolean") next.translate = raw.translate;
+  return next;
+}
+
+// Per buffer: replaced whenever the buffer is flushed or dropped, which also
+// aborts a partial still in flight for the old audio
+function makeInterimState() {
+  return { controller: null, lastAt: 0, lastBytes: 0, lastText: "", lastTranslated: "" };
+}
+
+function resetInterimState(state) {
+  if (state.interim.controller) state.interim.controller.abort();
+  state.interim = makeInterimState();
+}
+
+function normalizeWord(w) { return w.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ""); }
+
+// Words both of the last two hypotheses agree on are stable; the rest may still change
+function splitStablePrefix(prevText, text) {
+  var prev = prevText ? prevText.split(/\s+/) : [];
+  var words = text.split(/\s+/).filter(Boolean);
+  var n = 0;
+  while (n < prev.length && n < words.length && normalizeWord(prev[n]) === normalizeWord(words[n])) n++;
+  return { stable: words.slice(0, n).join(" "), unstable: words.slice(n).join(" ") };
+}
+
+// Called after every ingested chunk; starts at most one partial at a time
+function maybeInterim(ws, state) {
+  var cfg = state.config.interim;
+  var it = state.interim;
+  if (it.controller) return;
+  if (state.config.vad.enabled && !state.vad.inSpeech) return;
+  var durationMs = pcmBytesToDurationMs(state.pcmBytes);
+  if (durationMs < MIN_AUDIO_MS_FOR_STT || nowMs() - it.lastAt < cfg.intervalMs) return;
+  var newBytes = state.pcmBytes - it.lastBytes;
+  if (pcmBytesToDurationMs(Math.max(0, newBytes)) < cfg.minNewMs) return;
+
+  var pcm = Buffer.concat(state.pcmChunks, state.pcmBytes);
+  // Only new speech is worth a round trip, not a longer tail of silence
+  if (computePcmMetrics(pcm.slice(pcm.length - newBytes)).rms < MIN_RMS) return;
+  // Bounded window: re-sending the whole buffer every interval costs quadratically
+  var windowBytes = Math.round(cfg.maxWindowMs / VAD_FRAME_MS) * vadFrameBytes();
+  var windowStart = Math.max(0, pcm.length - windowBytes);
+  it.lastBytes = pcm.length;
+  runInterim(ws, state, it, pcm.subarray(windowStart), pcmBytesToDurationMs(windowStart)).catch(function(e) { log.error("stt.partial_failed", { conn: state.id, err: e }); });
+}
+
+/**
+ * One partial: transcribe the window (the buffer from windowStartMs on), drop it
+ * silently if the rate limit, quality or hallucination guards would reject it, emit
+ * stt_partial and, with translate: true, translation_partial per target language.
+ * Partials are metered against the audio / translation quotas like final results.
+ */
+async function runInterim(ws, state, it, pcm, windowStartMs) {
+  var controller = new AbortController();
+  var signal = controller.signal;
+  var durationMs = pcmBytesToDurationMs(pcm.length);
+  var partialId = bufferPartialId(state);
+  var logCtx = { conn: state.id, partialId: partialId, stage: "stt_partial" };
+  it.controller = controller;
+  it.lastAt = nowMs();
+  var wavPath = path.join(os.tmpdir(), "partial_" + state.id + "_" + partialId + "_" + Date.now() + ".wav");
+  try {
+    enforceRequestRate(state.meter, "stt", INTERIM_RATE_SHARE);
+    enforceQuota(state.meter, "audioSeconds", durationMs / 1000);
+    var sttLangHint = state.room ? state.room.lang : state.config.auto_bidi ? "" : state.config.sourceLang;
+    var processed = runDspChain(pcm, state.config.dsp).pcm;
+    fs.writeFileSync(wavPath, pcm16leToWavBuffer(processed, AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE));
+    var stt = await transcribeAudio(state.config.providers, { wavPath: wavPath, pcm: processed, languageHint: sttLangHint, mock: state.config.mock, signal: signal });
+    recordUsage(state.meter, "audioSeconds", durationMs / 1000);
+    METRICS.audioSeconds.inc({ source: "ws_interim" }, durationMs / 1000);
+    signal.throwIfAborted();
+
+    var text = (stt.text || "").trim();
+    var hallu = text ? checkHallucination(text, durationMs, stt.avgNoSpeech, stt.avgLogprob, stt.language || sttLangHint, state.config.hallucination) : null;
+    if (!text || checkSttGuards(stt) || (hallu.rejected && !state.config.hallucination.dryRun)) {
+      log.debug("stt.partial_filtered", Object.assign({ reason: hallu ? hallu.reason : "empty", text: text }, logCtx));
+      return;
+    }
+    var split = splitStablePrefix(it.lastText, text);
+    it.lastText = text;
+    log.debug("stt.partial", Object.assign({ ms: stt.ms, audioMs: durationMs, text: text }, logCtx));
+    sendJson(ws, {
+      type: "stt_partial", partialId: partialId, text: text, stable: split.stable, unstable: split.unstable,
+      detectedLang: stt.language || null, model: stt.model, ms: stt.ms, audioMs: durationMs, windowStartMs: windowStartMs,
+    });
+
+    if (!state.config.interim.translate || state.room || text === it.lastTranslated) return;
+    it.lastTranslated = text;
+    await translateInterim(ws, state, partialId, text, stt.language, signal);
+  } catch (e) {
+    if (signal.aborted) return;
+    if (e && e.code === "quota_exceeded") { log.debug("stt.partial_skipped", Object.assign({ err: e }, logCtx)); return; }
+    log.warn("stt.partial_failed", Object.assign({ err: e }, logCtx));
+  } finally {
+    cleanupWav(wavPath);
+    if (it.controller === controller) it.controller = null;
+  }
+}
+
+// Same direction / target languages as the final result, no cache, no transcript
+async function translateInterim(ws, state, partialId, text, detectedLang, signal) {
+  var src = state.config.sourceLang || "";
+  var targets = state.config.targetLangs.slice();
+  if (!targets.length) {
+    var dir = resolveDirection(state.config, detectedLang);
+    if (dir.rejected) return;
+    src = dir.src || "";
+    targets = [dir.tgt || "en"];
+  }
+  var glossary = sessionGlossary(state);
+  await Promise.all(targets.map(async function(tgt) {
+    if (!scopeAllows(state.auth, "languages", tgt)) return;
+    try {
+      var tr = await translateText(text, src, tgt, state.config.providers.translation, { conn: state.id, partialId: partialId, lang: tgt }, state.meter, {
+        context: translationContext(state), glossary: glossaryForPair(glossary, src || normalizeLangCode(detectedLang), tgt), noCache: true, signal: signal,
+      });
+      signal.throwIfAborted();
+      sendJson(ws, { type: "translation_partial", partialId: partialId, text: tr.text, sourceText: text, sourceLang: src || "auto", targetLang: tgt, provider: tr.provider, ms: tr.ms });
+    } catch (e) {
+      if (signal.aborted) return;
+      log.warn("translation.partial_failed", { conn: state.id, partialId: partialId, stage: "translation_partial", lang: tgt, err: e });
+    }
+  }));
+}
+
+// -------------------------
+// Long-form segmentation
+// -------------------------
+function makeLongFormConfig() {
+  return { enabled: false, maxSegmentMs: LONGFORM_SEGMENT_MS, minSegmentMs: LONGFORM_MIN_SEGMENT_MS };
+}
+
+// Accepts `longForm: true|false` or `longForm: {enabled, maxSegmentMs, minSegmentMs}`
+function parseLongFormConfig(raw, prev) {
+  var next = Object.assign({}, prev || makeLongFormConfig());
+  if (typeof raw === "boolean") { next.enabled = raw; return next; }
+  if (!raw || typeof raw !== "object") return next;
+  next.enabled = raw.enabled !== false;
+  var maxMs = pcmBytesToDurationMs(MAX_PCM_BYTES_PER_UTTERANCE);
+  next.maxSegmentMs = clampNumber(raw.maxSegmentMs, 5000, maxMs, next.maxSegmentMs);
+  next.minSegmentMs = clampNumber(raw.minSegmentMs, 1000, next.maxSegmentMs, Math.min(next.minSegmentMs, next.maxSegmentMs));
+  return next;
+}
+
+// Byte offset (frame aligned) in [minBytes, maxBytes] at the centre of the quietest
+// ~200ms window, so cuts land in pauses rather than mid-word
+function findQuietCut(pcm, minBytes, maxBytes) {
+  var frameBytes = vadFrameBytes();
+  var frames = Math.floor(Math.min(maxBytes, pcm.length) / frameBytes);
+  var first = Math.floor(minBytes / frameBytes);
+  var win = 10;
+  if (frames - first < win) return frames * frameBytes;
+  var energy = [];
+  for (var i = 0; i < frames; i++) energy.push(computePcmMetrics(pcm.subarray(i * frameBytes, (i + 1) * frameBytes)).rms);
+  var sum = 0;
+  for (var j = first; j < first + win; j++) sum += energy[j];
+  var best = first, bestSum = sum;
+  for (var k = first + 1; k + win <= frames; k++) {
+    sum += energy[k + win - 1] - energy[k - 1];
+    if (sum <= bestSum) { best = k; bestSum = sum; }
+  }
+  return (best + win / 2) * frameBytes;
+}
+
+// Moves whole segments off the front of the buffer into the job queue until at
+// most maxSegmentMs remains; the tail stays buffered for more audio or the flush
+function cutSegments(state) {
+  var cfg = state.config.longForm;
+  var frameBytes = vadFrameBytes();
+  var maxBytes = Math.round(cfg.maxSegmentMs / VAD_FRAME_MS) * frameBytes;
+  var minBytes = Math.round(cfg.minSegmentMs / VAD_FRAME_MS) * frameBytes;
+  if (state.pcmBytes <= maxBytes) return;
+  var pcm = Buffer.concat(state.pcmChunks, state.pcmBytes);
+  var offset = 0, startedAt = state.pcmStartedAt;
+  while (pcm.length - offset > maxBytes) {
+    var len = findQuietCut(pcm.subarray(offset, offset + maxBytes), minBytes, maxBytes);
+    var job = enqueueJob(state, { kind: "audio", partialId: takePartialId(state), pcm: pcm.subarray(offset, offset + len), audioStartedAt: startedAt, longForm: nextLongFormPart(state, false) });
+    log.info("longform.segment", { conn: state.id, seq: job.seq, stage: "ingest", durationMs: pcmBytesToDurationMs(len), longForm: job.longForm });
+    startedAt += pcmBytesToDurationMs(len);
+    offset += len;
+  }
+  state.pcmChunks = [pcm.subarray(offset)];
+  state.pcmBytes = pcm.length - offset;
+  state.pcmStartedAt = startedAt;
+  resetInterimState(state);
+}
+
+// Parts of one recording get their own seq and share longForm.id (the first
+// part's seq, which is the next one handed out); the flushed tail is marked last
+function nextLongFormPart(state, last) {
+  if (last && !state.longForm) return undefined;
+  state.longForm = state.longForm ? { id: state.longForm.id, part: state.longForm.part + 1 } : { id: state.seq + 1, part: 0 };
+  var part = { id: state.longForm.id, part: state.longForm.part, last: last };
+  if (last) state.longForm = null;
+  return part;
+}
+
+// -------------------------
+// Conversation context
+// -------------------------
+function makeContextConfig() {
+  return { window: clampNumber(CONTEXT_WINDOW, 0, CONTEXT_WINDOW_MAX, 3), topic: "" };
+}
+
+// config.context = {window?, topic?}; window 0 disables context, topic "" / null clears it
+function parseContextConfig(raw, prev) {
+  var next = { window: prev.window, topic: prev.topic };
+  if (!raw || typeof raw !== "object") return next;
+  if (raw.window !== undefined) next.window = Math.round(clampNumber(raw.window, 0, CONTEXT_WINDOW_MAX, prev.window));
+  if (raw.topic === null) next.topic = "";
+  else if (typeof raw.topic === "string") next.topic = raw.topic.trim().slice(0, CONTEXT_TOPIC_MAX_CHARS);
+  return next;
+}
+
+function trimHistory(state) {
+  var max = state.config.context.window;
+  if (state.history.length > max) state.history = state.history.slice(state.history.length - max);
+}
+
+function rememberUtterance(state, entry) {
+  if (state.config.context.window <= 0) return;
+  state.history.push(entry);
+  trimHistory(state);
+}
+
+// null when there is nothing to pass (no window, no topic)
+function translationContext(state) {
+  var history = state.config.context.window > 0 ? state.history.slice() : [];
+  if (history.length === 0 && !state.config.context.topic) return null;
+  return { history: history, topic: state.config.context.topic };
+}
+
+// Previous utterances as they read in `lang`: in bidi the other speaker's line
+// is taken from its translation so DeepL gets context in the source language
+function contextLinesFor(context, lang) {
+  return context.history.map(function(h) {
+    if (lang && h.targetLang === lang && h.sourceLang !== lang) return h.translation;
+    return h.sourceText;
+  }).filter(Boolean);
+}
+
+// -------------------------
+// Glossaries
+// -------------------------
+// Glossary: {name, pairs: {"fr>en": {sourceLang, targetLang, terms: {src: tgt}, keep: [term]}}}
+// Named glossaries are stored per tenant (REST /v1/glossaries); sessions either
+// reference one by name (resolved on every utterance) or carry an inline one.
+const glossaries = new Map();
+
+function glossaryKey(tenantId, name) { return tenantId + "/" + name; }
+
+function isValidGlossaryName(name) { return typeof name === "string" && /^[A-Za-z0-9_.-]{1,64}$/.test(name); }
+
+function cleanTerm(value) {
+  if (typeof value !== "string") return "";
+  return value.replace(/[\t\r\n]+/g, " ").trim().slice(0, GLOSSARY_MAX_TERM_CHARS);
+}
+
+/**
+ * Validate {pairs: [{sourceLang, targetLang, terms: {src: tgt}, doNotTranslate: [term]}]}.
+ * Returns {pairs} (keyed "src>tgt") or {error}.
+ */
+function parseGlossary(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.pairs)) return { error: "glossary needs pairs: [{sourceLang, targetLang, terms, doNotTranslate}]" };
+  var pairs = {};
+  var count = 0;
+  for (var i = 0; i < raw.pairs.length; i++) {
+    var def = raw.pairs[i] || {};
+    var src = normalizeLangCode(def.sourceLang);
+    var tgt = normalizeLangCode(def.targetLang);
+    if (!src || !tgt || src === tgt) return { error: "glossary pair " + i + " needs distinct sourceLang and targetLang" };
+    var key = src + ">" + tgt;
+    var pair = pairs[key] || (pairs[key] = { sourceLang: src, targetLang: tgt, terms: {}, keep: [] });
+    var terms = def.terms && typeof def.terms === "object" ? def.terms : {};
+    Object.keys(terms).forEach(function(k) {
+      var from = cleanTerm(k);
+      var to = cleanTerm(terms[k]);
+      if (from && to && !Object.prototype.hasOwnProperty.call(pair.terms, from)) { pair.terms[from] = to; count++; }
+    });
+    (Array.isArray(def.doNotTranslate) ? def.doNotTranslate : []).forEach(function(t) {
+      var term = cleanTerm(t);
+      if (term && pair.keep.indexOf(term) === -1 && !Object.prototype.hasOwnProperty.call(pair.terms, term)) { pair.keep.push(term); count++; }
+    });
+  }
+  if (count > GLOSSARY_MAX_TERMS) return { error: "glossary too large (max " + GLOSSARY_MAX_TERMS + " terms)" };
+  return { pairs: pairs };
+}
+
+function describeGlossary(g) {
+  return {
+    name: g.name || null,
+    pairs: Object.keys(g.pairs).map(function(k) {
+      var p = g.pairs[k];
+      return { sourceLang: p.sourceLang, targetLang: p.targetLang, terms: Object.keys(p.terms).length, doNotTranslate: p.keep.length };
+    }),
+  };
+}
+
+function sessionGlossary(state) {
+  if (!state.glossary) return null;
+  if (state.glossary.name) return glossaries.get(glossaryKey(state.tenantId, state.glossary.name)) || null;
+  return state.glossary;
+}
+
+// Provider-facing glossary for one direction, or null
+function glossaryForPair(g, src, tgt) {
+  if (!g || !src || !tgt) return null;
+  var p = g.pairs[normalizeLangCode(src) + ">" + normalizeLangCode(tgt)];
+  if (!p || (Object.keys(p.terms).length === 0 && p.keep.length === 0)) return null;
+  return p;
+}
+
+function escapeRegExp(s) { return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
+
+// Whole-word, case-insensitive (Unicode letters/digits count as word chars)
+function containsTerm(text, term) {
+  return new RegExp("(^|[^\\p{L}\\p{N}])" + escapeRegExp(term) + "(?=$|[^\\p{L}\\p{N}])", "iu").test(text);
+}
+
+/**
+ * Post-translation check: every glossary term present in the source must show
+ * up in the translation (its target form, or verbatim for do-not-translate).
+ */
+function verifyGlossary(pair, sourceText, translatedText) {
+  var checked = 0;
+  var missing = [];
+  Object.keys(pair.terms).forEach(function(from) {
+    if (!containsTerm(sourceText, from)) return;
+    checked++;
+    if (!containsTerm(translatedText, pair.terms[from])) missing.push({ term: from, expected: pair.terms[from] });
+  });
+  pair.keep.forEach(function(term) {
+    if (!containsTerm(sourceText, term)) return;
+    checked++;
+    if (!containsTerm(translatedText, term)) missing.push({ term: term, expected: term, doNotTranslate: true });
+  });
+  return { checked: checked, missing: missing };
+}
+
+// DeepL glossaries are immutable, so one is created per distinct (endpoint, pair, entries)
+// and reused across sessions; the promise is cached so concurrent utterances share it.
+// The account's glossary quota is finite, so the map is an LRU (insertion order = recency)
+// of DEEPL_GLOSSARY_MAX entries and an evicted glossary is deleted on DeepL as well.
+const deeplGlossaryIds = new Map();
+
+function deeplGlossariesUrl(translateEndpoint) { return translateEndpoint.replace(/\/translate$/, "/glossaries"); }
+
+function deleteDeepLGlossary(entry) {
+  entry.pending.then(function(glossaryId) {
+    return fetch(deeplGlossariesUrl(entry.endpoint) + "/" + encodeURIComponent(glossaryId), {
+      method: "DELETE",
+      headers: { Authorization: "DeepL-Auth-Key " + DEEPL_API_KEY },
+    }).then(function(resp) {
+      if (!resp.ok && resp.status !== 404) throw new Error("DeepL glossary delete HTTP " + resp.status);
+      log.info("glossary.deepl_deleted", { glossaryId: glossaryId });
+    });
+  }).catch(function(e) { log.warn("glossary.deepl_delete_failed", { err: e }); });
+}
+
+function deeplGlossaryEntries(pair) {
+  var lines = Object.keys(pair.terms).map(function(from) { return from + "\t" + pair.terms[from]; });
+  pair.keep.forEach(function(term) { lines.push(term + "\t" + term); });
+  return lines.join("\n");
+}
+
+// Creation is shared by concurrent callers, so it runs under its own timeout (a
+// failed or timed-out creation is evicted and retried by the next caller); each
+// caller stops waiting as soon as its own signal aborts
+function ensureDeepLGlossary(translateEndpoint, pair, signal) {
+  var entries = deeplGlossaryEntries(pair);
+  var cacheKey = sha256Hex(translateEndpoint + "|" + pair.sourceLang + ">" + pair.targetLang + "|" + entries);
+  var cached = deeplGlossaryIds.get(cacheKey);
+  if (cached) {
+    deeplGlossaryIds.delete(cacheKey);
+    deeplGlossaryIds.set(cacheKey, cached);
+    return raceAbort(cached.pending, signal);
+  }
+
+  var timeout = AbortSignal.timeout(TRANSLATION_TIMEOUT_MS);
+  var pending = raceAbort((async function() {
+    var body = new URLSearchParams();
+    body.set("auth_key", DEEPL_API_KEY);
+    body.set("name", "instant-talk-" + cacheKey.slice(0, 12));
+    body.set("source_lang", pair.sourceLang.toUpperCase());
+    body.set("target_lang", pair.targetLang.toUpperCase());
+    body.set("entries", entries);
+    body.set("entries_format", "tsv");
+    var resp = await fetch(deeplGlossariesUrl(translateEndpoint), {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: body,
+      signal: timeout,
+    });
+    var raw = await resp.text();
+    if (!resp.ok) throw new Error("DeepL glossary HTTP " + resp.status + ": " + truncate(raw, 200));
+    var json = safeJsonParse(raw);
+    if (!json || !json.glossary_id) throw new Error("DeepL glossary empty response");
+    log.info("glossary.deepl_created", { glossaryId: json.glossary_id, sourceLang: pair.sourceLang, targetLang: pair.targetLang, entries: json.entry_count });
+    return json.glossary_id;
+  })(), timeout);
+  var entry = { endpoint: translateEndpoint, pending: pending };
+  deeplGlossaryIds.set(cacheKey, entry);
+  pending.catch(function() { if (deeplGlossaryIds.get(cacheKey) === entry) deeplGlossaryIds.delete(cacheKey); });
+  while (deeplGlossaryIds.size > DEEPL_GLOSSARY_MAX) {
+    var oldest = deeplGlossaryIds.keys().next().value;
+    var evicted = deeplGlossaryIds.get(oldest);
+    deeplGlossaryIds.delete(oldest);
+    deleteDeepLGlossary(evicted);
+  }
+  return raceAbort(pending, signal);
+}
+
+// -------------------------
+// DeepL translate
+// -------------------------
+async function deeplTranslate(text, sourceLang, targetLang, context, glossary, signal) {
+  var mappedTarget = mapDeepLTargetLang(targetLang);
+  var endpointsToTry = [DEEPL_API_URL_PRIMARY, DEEPL_API_URL_ALT].filter(Boolean);
+  var lastErr = null;
+
+  for (var idx = 0; idx < endpointsToTry.length; idx++) {
+    var endpoint = endpointsToTry[idx];
+    var t0 = nowMs();
+    var body = new URLSearchParams();
+    body.set("auth_key", DEEPL_API_KEY);
+    body.set("text", text);
+    body.set("target_lang", mappedTarget);
+    // DeepL uses `context` to disambiguate but does not translate or bill it
+    if (context) {
+      var lines = contextLinesFor(context, sourceLang);
+      if (context.topic) lines.unshift(context.topic);
+      if (lines.length) body.set("context", lines.join("\n"));
+    }
+    // A glossary requires an explicit source_lang: the pair's (configured or detected)
+    // source goes with it. Callers pass no glossary when the source is unknown
+    // (glossaryForPair); if creating it fails, the text is translated without one
+    if (glossary) {
+      try {
+        body.set("glossary_id", await ensureDeepLGlossary(endpoint, glossary, signal));
+        body.set("source_lang", glossary.sourceLang.toUpperCase());
+      } catch (gErr) {
+        if (signal && signal.aborted) throw gErr;
+        log.warn("glossary.deepl_failed", { err: gErr });
+      }
+    }
+
+    var resp = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: body,
+      signal: signal,
+    });
+
+    var raw = await resp.text();
+    var ms = nowMs() - t0;
+
+    if (!resp.ok) {
+      if (resp.status === 403 && isDeepLWrongEndpointMessage(raw)) {
+        log.warn("deepl.wrong_endpoint", { endpoint: endpoint });
+        METRICS.deeplWrongEndpoint.inc();
+        // Only a wrong-endpoint answer moves on to the ALT endpoint; any other failure
+        // keeps its status so callProvider can retry it and count it as an outage
+        lastErr = Object.assign(new Error("DeepL wrong endpoint"), { status: resp.status });
+        continue;
+      }
+      var httpErr = new Error("DeepL HTTP " + resp.status + ": " + truncate(raw, 400));
+      httpErr.status = resp.status;
+      throw httpErr;
+    }
+
+    var json = safeJsonParse(raw);
+    var out = json && json.translations && json.translations[0] ? json.translations[0].text : null;
+    if (!out) throw new Error("DeepL empty response");
+
+    return { text: out, provider: "deepl", ms: ms };
+  }
+
+  throw lastErr || new Error("DeepL failed");
+}
+
+// -------------------------
+// OpenAI translation fallback
+// -------------------------
+async function openaiTranslate(text, sourceLang, targetLang, context, glossary, signal) {
+  var t0 = nowMs();
+  var system = "You are a translation engine for real-time voice translation. Return ONLY the translated text. No quotes, no explanations, no extra lines.";
+  var messages = [{ role: "system", content: system }];
+
+  // Earlier turns replayed as user/assistant pairs so pronouns, gender and
+  // short follow-ups are resolved against the conversation
+  if (context) {
+    if (context.topic) messages[0].content += "\nConversation topic: " + context.topic;
+    if (context.history.length) messages[0].content += "\nPrevious turns of the conversation are given for context; translate only the last message.";
+    context.history.forEach(function(h) {
+      messages.push({ role: "user", content: "Translate from " + (h.sourceLang || "auto") + " to " + h.targetLang + ":\n\n" + h.sourceText });
+      messages.push({ role: "assistant", content: h.translation });
+    });
+  }
+  if (glossary) {
+    var rules = Object.keys(glossary.terms).map(function(from) { return "- \"" + from + "\" -> \"" + glossary.terms[from] + "\""; });
+    if (rules.length) messages[0].content += "\nAlways translate these terms exactly as given:\n" + rules.join("\n");
+    if (glossary.keep.length) messages[0].content += "\nNever translate these terms, keep them verbatim: " + glossary.keep.map(function(t) { return "\"" + t + "\""; }).join(", ");
+  }
+  messages.push({ role: "user", content: "Translate from " + (sourceLang || "auto") + " to " + targetLang + ":\n\n" + text });
+
+  var resp = await openai.chat.completions.create({
+    model: OPENAI_TRANSLATION_MODEL,
+    temperature: 0.2,
+    messages: messages,
+  }, { signal: signal });
+
+  var out = "";
+  try { out = resp.choices[0].message.content.trim(); } catch (e) { out = ""; }
+  return { text: out, provider: "openai", ms: nowMs() - t0 };
+}
+
+// -------------------------
+// OpenAI STT (verbose_json)
+// -------------------------
+async function openaiSTT(wavPath, languageHint, signal) {
+  var t0 = nowMs();
+  var file = fs.createReadStream(wavPath);
+
+  var params = {
+    model: OPENAI_STT_MODEL,
+    file: file,
+    response_format: "verbose_json",
+  };
+
+  var hint = getWhisperHint(languageHint);
   if (hint) params.language = hint;
 
-  var result = await openai.audio.transcriptions.create(params);
-  var ms = nowMs() - t0;
+  var result = await openai.audio.transcriptions.create(params, { signal: signal });
+  var ms = nowMs() - t0;
+
+  var text = "";
+  try { text = result.text.trim(); } catch (e) { text = ""; }
+  var language = "";
+  try { language = result.language || ""; } catch (e) { language = ""; }
+  var segments = [];
+  try { segments = Array.isArray(result.segments) ? result.segments : []; } catch (e) { segments = []; }
+
+  var avgNoSpeech = null, avgLogprob = null, avgCompressionRatio = null;
+
+  if (segments.length > 0) {
+    var sumNS = 0, cNS = 0, sumLP = 0, cLP = 0, sumCR = 0, cCR = 0;
+    for (var i = 0; i < segments.length; i++) {
+      var s = segments[i];
+      if (s && typeof s.no_speech_prob === "number") { sumNS += s.no_speech_prob; cNS++; }
+      if (s && typeof s.avg_logprob === "number") { sumLP += s.avg_logprob; cLP++; }
+      if (s && typeof s.compression_ratio === "number") { sumCR += s.compression_ratio; cCR++; }
+    }
+    if (cNS > 0) avgNoSpeech = sumNS / cNS;
+    if (cLP > 0) avgLogprob = sumLP / cLP;
+    if (cCR > 0) avgCompressionRatio = sumCR / cCR;
+  }
+
+  return {
+    text: text, ms: ms, model: OPENAI_STT_MODEL, language: language,
+    segmentsCount: segments.length, avgNoSpeech: avgNoSpeech,
+    avgLogprob: avgLogprob, avgCompressionRatio: avgCompressionRatio,
+  };
+}
+
+// -------------------------
+// OpenAI TTS
+// -------------------------
+const TTS_FORMATS = {
+  mp3: { mime: "audio/mpeg" },
+  opus: { mime: "audio/ogg; codecs=opus" },
+  aac: { mime: "audio/aac" },
+  wav: { mime: "audio/wav" },
+  // OpenAI raw PCM: Int16 LE mono 24kHz, no header
+  pcm: { mime: "audio/pcm", sampleRate: 24000 },
+};
+const TTS_PCM_SAMPLE_RATE = TTS_FORMATS.pcm.sampleRate;
+
+function ttsSpeechRequest(text, voice, format, signal) {
+  return openai.audio.speech.create({
+    model: OPENAI_TTS_MODEL,
+    voice: voice || OPENAI_TTS_VOICE,
+    input: text,
+    response_format: format || "mp3",
+    speed: 1.05,
+  }, { signal: signal });
+}
+
+async function openaiTTS(text, voice, format, signal) {
+  var t0 = nowMs();
+  var fmt = TTS_FORMATS[format] ? format : "mp3";
+  var resp = await ttsSpeechRequest(text, voice, fmt, signal);
+  var buffer = Buffer.from(await resp.arrayBuffer());
+  return { buffer: buffer, ms: nowMs() - t0, model: OPENAI_TTS_MODEL, mime: TTS_FORMATS[fmt].mime };
+}
+
+// Forwards the response body as it arrives instead of waiting for the whole file
+async function openaiTTSStream(text, voice, format, onChunk, signal) {
+  var t0 = nowMs();
+  var fmt = TTS_FORMATS[format] ? format : "mp3";
+  var resp = await ttsSpeechRequest(text, voice, fmt, signal);
+  var bytes = 0;
+  for await (var chunk of resp.body) {
+    var buf = Buffer.from(chunk);
+    bytes += buf.length;
+    onChunk(buf);
+  }
+  return { bytes: bytes, ms: nowMs() - t0, model: OPENAI_TTS_MODEL, mime: TTS_FORMATS[fmt].mime };
+}
+
+// -------------------------
+// Mock providers (deterministic, offline)
+// -------------------------
+const MOCK_TRANSCRIPTS = {
+  en: ["Hello, how are you today?", "Can you repeat that, please?", "Where is the train station?", "I would like a coffee with milk."],
+  fr: ["Bonjour, comment allez-vous ?", "Pouvez-vous répéter, s'il vous plaît ?", "Où est la gare ?", "Je voudrais un café au lait."],
+};
+
+// Rejects with the abort reason as soon as `signal` fires
+function sleep(ms, signal) {
+  return new Promise(function(resolve, reject) {
+    if (signal && signal.aborted) { reject(signal.reason); return; }
+    function onAbort() { clearTimeout(timer); reject(signal.reason); }
+    var timer = setTimeout(function() {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Settles like `promise`, or rejects with the abort reason as soon as `signal` fires,
+// whether or not whatever produces `promise` honours the signal itself
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  return new Promise(function(resolve, reject) {
+    if (signal.aborted) { reject(signal.reason); return; }
+    function onAbort() { reject(signal.reason); }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(function(value) {
+      signal.removeEventListener("abort", onAbort);
+      resolve(value);
+    }, function(err) {
+      signal.removeEventListener("abort", onAbort);
+      reject(err);
+    });
+  });
+}
+
+function hashToIndex(buf, modulo) {
+  if (!buf || !buf.length || !modulo) return 0;
+  return crypto.createHash("sha1").update(buf).digest().readUInt32BE(0) % modulo;
+}
+
+// Options come from config.mock: {text, language, avgNoSpeech, avgLogprob, avgCompressionRatio}
+async function mockSTT(input) {
+  var t0 = nowMs();
+  if (MOCK_LATENCY_MS > 0) await sleep(MOCK_LATENCY_MS, input.signal);
+  var opts = input.mock || {};
+  var lang = normalizeLangCode(opts.language || input.languageHint) || "en";
+  var canned = MOCK_TRANSCRIPTS[lang] || MOCK_TRANSCRIPTS.en;
+  var text = typeof opts.text === "string" ? opts.text : canned[hashToIndex(input.pcm, canned.length)];
+  return {
+    text: text, ms: nowMs() - t0, model: "mock-stt", language: lang, segmentsCount: 1,
+    avgNoSpeech: typeof opts.avgNoSpeech === "number" ? opts.avgNoSpeech : 0.02,
+    avgLogprob: typeof opts.avgLogprob === "number" ? opts.avgLogprob : -0.2,
+    avgCompressionRatio: typeof opts.avgCompressionRatio === "number" ? opts.avgCompressionRatio : 1.2,
+  };
+}
+
+async function mockTranslate(input) {
+  var t0 = nowMs();
+  if (MOCK_LATENCY_MS > 0) await sleep(MOCK_LATENCY_MS, input.signal);
+  return { text: "[" + input.targetLang + "] " + input.text, provider: "mock", ms: nowMs() - t0 };
+}
+
+// Sine tone, ~60ms per character, pitch derived from the voice name.
+// "pcm" gets raw 24kHz PCM like OpenAI, "wav" a WAV; the registry entry only
+// advertises these two, so compressed formats are never requested from the mock.
+function mockToneAudio(text, voice, format) {
+  var rate = format === "pcm" ? TTS_PCM_SAMPLE_RATE : AUDIO_SAMPLE_RATE;
+  var durationMs = Math.min(5000, Math.max(300, text.length * 60));
+  var freq = 180 + hashToIndex(Buffer.from(String(voice || "")), 200);
+  var samples = Math.round(rate * durationMs / 1000);
+  var pcm = Buffer.alloc(samples * BYTES_PER_SAMPLE);
+  for (var i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * freq * i / rate)), i * BYTES_PER_SAMPLE);
+  }
+  if (format === "pcm") return { buffer: pcm, mime: TTS_FORMATS.pcm.mime };
+  return { buffer: pcm16leToWavBuffer(pcm, rate, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE), mime: TTS_FORMATS.wav.mime };
+}
+
+async function mockTTS(input) {
+  var t0 = nowMs();
+  if (MOCK_LATENCY_MS > 0) await sleep(MOCK_LATENCY_MS, input.signal);
+  var audio = mockToneAudio(input.text, input.voice, input.format);
+  return { buffer: audio.buffer, ms: nowMs() - t0, model: "mock-tts", mime: audio.mime };
+}
+
+async function mockTTSStream(input) {
+  var t0 = nowMs();
+  var audio = mockToneAudio(input.text, input.voice, input.format);
+  var chunkBytes = 8192;
+  for (var off = 0; off < audio.buffer.length; off += chunkBytes) {
+    if (MOCK_LATENCY_MS > 0) await sleep(Math.max(1, Math.round(MOCK_LATENCY_MS / 4)), input.signal);
+    if (input.signal) input.signal.throwIfAborted();
+    input.onChunk(audio.buffer.slice(off, off + chunkBytes));
+  }
+  return { bytes: audio.buffer.length, ms: nowMs() - t0, model: "mock-tts", mime: audio.mime };
+}
+
+// -------------------------
+// Result cache
+// -------------------------
+/**
+ * LRU over a Map (insertion order = recency) bounded by entry count and bytes,
+ * with a TTL per entry. With a dir, entries are written through as JSON files
+ * named after their key (already a sha256) and reloaded on boot.
+ * opts: {maxEntries, maxBytes, ttlMs, dir, encode(value), decode(json)}
+ */
+function makeLruCache(name, opts) {
+  var map = new Map();
+  var bytes = 0;
+  var stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+  var dir = opts.dir ? path.join(opts.dir, name) : "";
+
+  function fileFor(key) { return path.join(dir, key + ".json"); }
+
+  function drop(key) {
+    var entry = map.get(key);
+    if (!entry) return;
+    map.delete(key);
+    bytes -= entry.bytes;
+    if (dir) fs.promises.unlink(fileFor(key)).catch(function() {});
+  }
+
+  function insert(key, entry) {
+    drop(key);
+    map.set(key, entry);
+    bytes += entry.bytes;
+    while (map.size > opts.maxEntries || bytes > opts.maxBytes) {
+      drop(map.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  function persist(key, entry) {
+    var file = fileFor(key);
+    var tmp = file + ".tmp";
+    var json = JSON.stringify({ expiresAt: entry.expiresAt, bytes: entry.bytes, value: opts.encode(entry.value) });
+    fs.promises.writeFile(tmp, json)
+      .then(function() { return fs.promises.rename(tmp, file); })
+      .catch(function(e) { log.warn("cache.persist_failed", { cache: name, err: e }); });
+  }
+
+  return {
+    get: function(key) {
+      var entry = map.get(key);
+      if (entry && entry.expiresAt <= nowMs()) { drop(key); stats.expired++; entry = null; }
+      if (!entry) { stats.misses++; return null; }
+      map.delete(key);
+      map.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+    set: function(key, value, size) {
+      if (size > opts.maxBytes) return;
+      var entry = { value: value, bytes: size, expiresAt: nowMs() + opts.ttlMs };
+      insert(key, entry);
+      stats.sets++;
+      if (dir && map.has(key)) persist(key, entry);
+    },
+    clear: function() {
+      Array.from(map.keys()).forEach(drop);
+    },
+    load: function() {
+      if (!dir) return;
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        var loaded = [];
+        fs.readdirSync(dir).forEach(function(f) {
+          var m = /^([a-f0-9]{64})\.json$/.exec(f);
+          if (!m) return;
+          var json = safeJsonParse(fs.readFileSync(path.join(dir, f), "utf8"));
+          if (!json || !json.value || !(json.expiresAt > nowMs())) { fs.promises.unlink(path.join(dir, f)).catch(function() {}); return; }
+          loaded.push({ key: m[1], entry: { value: opts.decode(json.value), bytes: Number(json.bytes) || 0, expiresAt: json.expiresAt } });
+        });
+        // Oldest first so the freshest entries end up most recently used
+        loaded.sort(function(a, b) { return a.entry.expiresAt - b.entry.expiresAt; });
+        loaded.forEach(function(l) { insert(l.key, l.entry); });
+        log.info("cache.loaded", { cache: name, entries: map.size, dir: dir });
+      } catch (e) {
+        log.error("cache.load_failed", { cache: name, err: e });
+      }
+    },
+    stats: function() {
+      var lookups = stats.hits + stats.misses;
+      return Object.assign({
+        entries: map.size, bytes: bytes, maxEntries: opts.maxEntries, maxBytes: opts.maxBytes, ttlMs: opts.ttlMs,
+        hitRate: lookups ? Math.round(stats.hits / lookups * 1000) / 1000 : null, persisted: Boolean(dir),
+      }, stats);
+    },
+  };
+}
+
+function identity(v) { return v; }
+
+const translationCache = makeLruCache("translation", {
+  maxEntries: CACHE_TRANSLATION_MAX_ENTRIES, maxBytes: CACHE_TRANSLATION_MAX_BYTES, ttlMs: CACHE_TTL_MS, dir: CACHE_DIR,
+  encode: identity, decode: identity,
+});
+
+const ttsCache = makeLruCache("tts", {
+  maxEntries: CACHE_TTS_MAX_ENTRIES, maxBytes: CACHE_TTS_MAX_BYTES, ttlMs: CACHE_TTL_MS, dir: CACHE_DIR,
+  encode: function(v) { return { audioB64: v.buffer.toString("base64"), model: v.model, mime: v.mime }; },
+  decode: function(j) { return { buffer: Buffer.from(j.audioB64 || "", "base64"), model: j.model, mime: j.mime }; },
+});
+
+function normalizeCacheText(text) { return String(text || "").normalize("NFC").replace(/\s+/g, " ").trim(); }
+
+// Keyed on the chain's primary provider: a fallback result is cached for the
+// chain that produced it. Glossary and topic change the output, so they are part
+// of the key. The rolling history changes it too but almost never repeats, so
+// translateText skips the cache altogether while there is history.
+function translationCacheKey(provider, src, tgt, text, context, glossary) {
+  return sha256Hex([
+    "translation", provider, (src || "auto").toLowerCase(), tgt.toLowerCase(),
+    glossary ? sha256Hex(JSON.stringify(glossary)) : "", context && context.topic ? context.topic : "",
+    normalizeCacheText(text),
+  ].join("\n"));
+}
+
+function ttsCacheKey(provider, model, voice, format, text) {
+  return sha256Hex(["tts", provider, model, voice, format, normalizeCacheText(text)].join("\n"));
+}
+
+// -------------------------
+// Provider resilience (timeouts, retries, circuit breakers)
+// -------------------------
+const STAGE_TIMEOUTS_MS = { stt: STT_TIMEOUT_MS, translation: TRANSLATION_TIMEOUT_MS, tts: TTS_TIMEOUT_MS };
+// Outages: retried, counted by the breaker and surfaced as `<stage>_unavailable`. Anything
+// else (a 4xx for this request, a malformed response) fails only the request at hand
+const TRANSIENT_REASONS = { timeout: true, rate_limited: true, http_5xx: true, network: true };
+const NETWORK_ERROR_RE = /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/i;
+
+// "stage:provider" -> {state: closed|open|half_open, failures, openedAt, probing, lastFailureAt, lastReason}
+// Shared by every connection and REST request in the process
+const breakers = new Map();
+
+function getBreaker(stage, name) {
+  var key = stage + ":" + name;
+  var b = breakers.get(key);
+  if (!b) {
+    b = { state: "closed", failures: 0, openedAt: 0, probing: false, lastFailureAt: 0, lastReason: null };
+    breakers.set(key, b);
+  }
+  return b;
+}
+
+function breakerRetryInMs(b) {
+  return b.state === "open" ? Math.max(0, b.openedAt + BREAKER_COOLDOWN_MS - nowMs()) : 0;
+}
+
+// Open breakers reject until the cool-down has passed, then let a single probe
+// through (half_open); the probe's outcome closes or re-opens the breaker
+function breakerAllows(b) {
+  if (b.state === "open" && breakerRetryInMs(b) === 0) b.state = "half_open";
+  if (b.state === "closed") return true;
+  if (b.state === "half_open" && !b.probing) {
+    b.probing = true;
+    return true;
+  }
+  return false;
+}
+
+function recordProviderSuccess(b) {
+  b.state = "closed";
+  b.failures = 0;
+  b.probing = false;
+}
+
+function recordProviderFailure(stage, name, b, reason) {
+  b.failures++;
+  b.probing = false;
+  b.lastFailureAt = nowMs();
+  b.lastReason = reason;
+  METRICS.providerFailures.inc({ stage: stage, provider: name, reason: reason });
+  if (b.state === "half_open" || (b.state === "closed" && b.failures >= BREAKER_FAILURES)) {
+    b.state = "open";
+    b.openedAt = nowMs();
+    log.warn("provider.circuit_open", { stage: stage, provider: name, failures: b.failures, reason: reason, cooldownMs: BREAKER_COOLDOWN_MS });
+  }
+}
+
+function failureReason(err, timedOut) {
+  if (timedOut) return "timeout";
+  var status = err && typeof err.status === "number" ? err.status : 0;
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "http_5xx";
+  if (status) return "http_" + status;
+  if (err && (err.name === "APIConnectionError" || NETWORK_ERROR_RE.test(errorMessage(err) + " " + String(err.cause && err.cause.code)))) return "network";
+  return "error";
+}
+
+function providerUnavailable(stage, name, reason, message, extra) {
+  var err = new Error(message);
+  err.code = stage + "_unavailable";
+  err.stage = stage;
+  err.details = Object.assign({ provider: name, reason: reason }, extra);
+  return err;
+}
+
+// A request the provider refused (code http_<status>) or a response we could not
+// use (provider_error)
+function providerRequestError(stage, name, reason, message, extra) {
+  var err = new Error(message);
+  err.code = /^http_\d+$/.test(reason) ? reason : "provider_error";
+  err.stage = stage;
+  err.details = Object.assign({ provider: name, reason: reason }, extra);
+  return err;
+}
+
+function isProviderError(err) {
+  return Boolean(err && /_unavailable$|^http_\d+$|^provider_error$/.test(err.code || ""));
+}
+
+/**
+ * Run fn(signal) against one provider: the signal combines the caller's with the
+ * stage timeout, transient failures are retried up to PROVIDER_RETRIES times with
+ * jittered exponential backoff (opts.canRetry() can veto, e.g. a TTS stream that
+ * already sent audio), and the provider's breaker is consulted and updated. fn is
+ * raced against the signal, so a provider that ignores it still times out.
+ * Outages surface as `<stage>_unavailable` errors, other failures as http_<status> /
+ * provider_error, both with details {provider, reason}; a cancelled caller gets its
+ * abort error back and the breaker is left alone.
+ */
+async function callProvider(stage, name, signal, fn, opts) {
+  var breaker = getBreaker(stage, name);
+  if (!breakerAllows(breaker)) {
+    throw providerUnavailable(stage, name, "circuit_open", name + " " + stage + " is temporarily unavailable.", { retryInMs: breakerRetryInMs(breaker) });
+  }
+  var timeoutMs = STAGE_TIMEOUTS_MS[stage];
+  for (var attempt = 1; ; attempt++) {
+    var timeout = AbortSignal.timeout(timeoutMs);
+    var combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+    try {
+      var result = await raceAbort(new Promise(function(resolve) { resolve(fn(combined)); }), combined);
+      recordProviderSuccess(breaker);
+      return result;
+    } catch (e) {
+      if (signal && signal.aborted) {
+        breaker.probing = false;
+        throw e;
+      }
+      var reason = failureReason(e, timeout.aborted);
+      if (TRANSIENT_REASONS[reason] && attempt <= PROVIDER_RETRIES && !(opts && opts.canRetry && !opts.canRetry())) {
+        var delayMs = Math.round(PROVIDER_RETRY_BASE_MS * Math.pow(2, attempt - 1) * (0.5 + Math.random()));
+        METRICS.providerRetries.inc({ stage: stage, provider: name, reason: reason });
+        log.warn("provider.retry", { stage: stage, provider: name, attempt: attempt, reason: reason, delayMs: delayMs, err: e });
+        await sleep(delayMs, signal);
+        continue;
+      }
+      if (!TRANSIENT_REASONS[reason]) {
+        breaker.probing = false;
+        throw providerRequestError(stage, name, reason, errorMessage(e), { attempts: attempt });
+      }
+      recordProviderFailure(stage, name, breaker, reason);
+      var message = reason === "timeout" ? name + " " + stage + " timed out after " + timeoutMs + "ms." : errorMessage(e);
+      throw providerUnavailable(stage, name, reason, message, { attempts: attempt });
+    }
+  }
+}
+
+// /healthz view: every available provider with its breaker state
+function providerHealth() {
+  var out = {};
+  Object.keys(PROVIDERS).forEach(function(stage) {
+    out[stage] = {};
+    Object.keys(PROVIDERS[stage]).forEach(function(name) {
+      if (!getProvider(stage, name)) return;
+      var b = breakers.get(stage + ":" + name);
+      out[stage][name] = b ? {
+        state: b.state === "open" && breakerRetryInMs(b) === 0 ? "half_open" : b.state, failures: b.failures, lastReason: b.lastReason,
+        lastFailureAt: b.lastFailureAt ? new Date(b.lastFailureAt).toISOString() : null, retryInMs: breakerRetryInMs(b),
+      } : { state: "closed", failures: 0, lastReason: null, lastFailureAt: null, retryInMs: 0 };
+    });
+  });
+  return out;
+}
+
+// -------------------------
+// Provider registry
+// -------------------------
+// stt:         transcribe({wavPath, pcm, languageHint, mock, signal}) -> {text, ms, model, language, segmentsCount, avgNoSpeech, avgLogprob, avgCompressionRatio}
+// translation: translate({text, sourceLang, targetLang, context, glossary, signal}) -> {text, ms}
+//              context: null | {history: [{sourceText, sourceLang, translation, targetLang}], topic}
+//              glossary: null | {sourceLang, targetLang, terms: {src: tgt}, keep: [term]}
+// tts:         synthesize({text, voice, format, signal}) -> {buffer, ms, model, mime}
+//              synthesizeStream({text, voice, format, onChunk, signal}) -> {bytes, ms, model, mime}
+//              formats: optional list of the TTS_FORMATS it can encode (default: all)
+// model: the model name used for metric labels
+// signal: optional AbortSignal; an aborted call rejects instead of finishing
+function always() { return true; }
+function hasOpenAI() { return Boolean(openai); }
+
+const PROVIDERS = {
+  stt: {
+    openai: { available: hasOpenAI, transcribe: function(input) { return openaiSTT(input.wavPath, input.languageHint, input.signal); }, model: OPENAI_STT_MODEL },
+  },
+  translation: {
+    deepl: { available: function() { return Boolean(DEEPL_API_KEY); }, translate: function(input) { return deeplTranslate(input.text, input.sourceLang, input.targetLang, input.context, input.glossary, input.signal); }, model: "deepl" },
+    openai: { available: hasOpenAI, translate: function(input) { return openaiTranslate(input.text, input.sourceLang || "auto", input.targetLang, input.context, input.glossary, input.signal); }, model: OPENAI_TRANSLATION_MODEL },
+  },
+  tts: {
+    openai: {
+      available: hasOpenAI,
+      synthesize: function(input) { return openaiTTS(input.text, input.voice, input.format, input.signal); },
+      synthesizeStream: function(input) { return openaiTTSStream(input.text, input.voice, input.format, input.onChunk, input.signal); },
+      model: OPENAI_TTS_MODEL,
+    },
+  },
+};
+
+// Offline stand-ins for development and tests: without MOCK_PROVIDERS they don't exist,
+// so clients can't pick them through config.providers in production
+if (MOCK_PROVIDERS) {
+  PROVIDERS.stt.mock = { available: always, transcribe: mockSTT, model: "mock-stt" };
+  PROVIDERS.translation.mock = { available: always, translate: mockTranslate, model: "mock-translation" };
+  // Always fails: stands in for an unreachable primary to exercise the fallback path offline
+  PROVIDERS.translation.mock_fail = { available: always, translate: async function() { throw Object.assign(new Error("Mock translation failure"), { status: 503 }); }, model: "mock-translation" };
+  PROVIDERS.tts.mock = { available: always, synthesize: mockTTS, synthesizeStream: mockTTSStream, model: "mock-tts", formats: ["wav", "pcm"] };
+}
+
+function getProvider(stage, name) {
+  var entry = PROVIDERS[stage] && Object.prototype.hasOwnProperty.call(PROVIDERS[stage], name) ? PROVIDERS[stage][name] : null;
+  return entry && entry.available() ? entry : null;
+}
+
+function defaultProviders() {
+  return { stt: STT_PROVIDER, translation: TRANSLATION_PROVIDERS.slice(), tts: TTS_PROVIDER };
+}
+
+// Defaults narrowed to what the tenant may use (first allowed + available provider per stage)
+function scopedDefaultProviders(auth) {
+  var d = defaultProviders();
+  function pick(stage, current) {
+    if (scopeAllows(auth, "providers", current)) return current;
+    var names = Object.keys(PROVIDERS[stage]);
+    for (var i = 0; i < names.length; i++) {
+      if (names[i].indexOf("mock") !== 0 && scopeAllows(auth, "providers", names[i]) && getProvider(stage, names[i])) return names[i];
+    }
+    return current;
+  }
+  var chain = d.translation.filter(function(name) { return scopeAllows(auth, "providers", name); });
+  return { stt: pick("stt", d.stt), translation: chain.length ? chain : [pick("translation", d.translation[0])], tts: pick("tts", d.tts) };
+}
+
+// null when the tenant may use no voice at all: TTS requests are then refused
+function scopedDefaultVoice(auth) {
+  if (scopeAllows(auth, "voices", OPENAI_TTS_VOICE)) return OPENAI_TTS_VOICE;
+  return auth.scopes.voices[0] || null;
+}
+
+/**
+ * Validate a `config.providers` override. Returns {providers} or {error}.
+ * translation accepts a single name or an ordered fallback chain.
+ */
+function parseProvidersConfig(raw, prev) {
+  var next = { stt: prev.stt, translation: prev.translation.slice(), tts: prev.tts };
+  if (!raw || typeof raw !== "object") return { providers: next };
+  if (raw.stt !== undefined) {
+    if (!getProvider("stt", String(raw.stt))) return { error: "stt provider unavailable: " + raw.stt };
+    next.stt = String(raw.stt);
+  }
+  if (raw.translation !== undefined) {
+    var chain = (Array.isArray(raw.translation) ? raw.translation : [raw.translation]).map(String);
+    if (chain.length === 0) return { error: "translation provider chain is empty" };
+    for (var i = 0; i < chain.length; i++) {
+      if (!getProvider("translation", chain[i])) return { error: "translation provider unavailable: " + chain[i] };
+    }
+    next.translation = chain;
+  }
+  if (raw.tts !== undefined) {
+    if (!getProvider("tts", String(raw.tts))) return { error: "tts provider unavailable: " + raw.tts };
+    next.tts = String(raw.tts);
+  }
+  return { providers: next };
+}
+
+async function transcribeAudio(providers, input) {
+  var p = getProvider("stt", providers.stt);
+  if (!p) throw new Error("STT provider unavailable: " + providers.stt);
+  var result = await callProvider("stt", providers.stt, input.signal, function(signal) {
+    return p.transcribe(Object.assign({}, input, { signal: signal }));
+  });
+  METRICS.sttSeconds.observe({ provider: providers.stt, model: result.model }, result.ms / 1000);
+  return result;
+}
+
+/**
+ * Translation chain: first available provider wins, the next ones are
+ * fallbacks (reported as "<name>_fallback"), e.g. deepl -> openai.
+ * logCtx: correlation fields merged into log records ({conn, seq} or {source}).
+ * opts: {context, glossary, noCache, signal}; with a glossary the result carries a
+ * `glossary` verification report ({checked, missing}). Cache hits still count
+ * against the tenant quota but are metered under provider "cache"; a context with
+ * history bypasses the cache.
+ * An aborted signal ends the chain instead of falling back. Providers with an open
+ * breaker are skipped; when none succeeds and all of them were out the error is
+ * `translation_unavailable` with details.providers listing each provider's failure
+ * reason, otherwise the last request error (http_<status> / provider_error).
+ */
+async function translateText(text, src, tgt, chain, logCtx, meter, opts) {
+  var context = opts && opts.context ? opts.context : null;
+  var glossary = opts && opts.glossary ? opts.glossary : null;
+  var signal = opts && opts.signal ? opts.signal : undefined;
+  if (src && tgt && src.toLowerCase() === tgt.toLowerCase()) {
+    log.debug("translation.skipped", Object.assign({ stage: "translation", lang: src }, logCtx));
+    return { text: text, provider: "none", ms: 0 };
+  }
+  var names = chain.filter(function(name) { return Boolean(getProvider("translation", name)); });
+  if (names.length === 0) throw new Error("No translation provider available");
+  enforceQuota(meter, "translationChars", text.length);
+  var t0 = nowMs();
+  var useCache = CACHE_ENABLED && !(opts && opts.noCache) && !(context && context.history.length);
+  var cacheKey = useCache ? translationCacheKey(names[0], src, tgt, text, context, glossary) : null;
+  var hit = cacheKey ? translationCache.get(cacheKey) : null;
+  if (hit) {
+    recordUsage(meter, "translationChars", text.length, "cache");
+    log.info("translation.result", Object.assign({ stage: "translation", provider: hit.provider, cached: true, ms: nowMs() - t0, translation: hit.text }, logCtx));
+    var cachedOut = { text: hit.text, provider: hit.provider, ms: nowMs() - t0, cached: true };
+    METRICS.translationSeconds.observe({ provider: "cache", model: hit.model || "" }, cachedOut.ms / 1000);
+    if (glossary) cachedOut.glossary = verifyGlossary(glossary, text, hit.text);
+    return cachedOut;
+  }
+  var lastErr = null, requestErr = null;
+  var failures = [];
+  for (var i = 0; i < names.length; i++) {
+    var entry = getProvider("translation", names[i]);
+    try {
+      var r = await callProvider("translation", names[i], signal, function(sig) {
+        return entry.translate({ text: text, sourceLang: src, targetLang: tgt, context: context, glossary: glossary, signal: sig });
+      });
+      var provider = i === 0 ? names[i] : names[i] + "_fallback";
+      recordUsage(meter, "translationChars", text.length, names[i]);
+      log.info("translation.result", Object.assign({
+        stage: "translation", provider: provider, cached: false, ms: nowMs() - t0, contextTurns: context ? context.history.length : undefined, translation: r.text,
+      }, logCtx));
+      var out = { text: r.text, provider: provider, ms: nowMs() - t0, cached: false };
+      METRICS.translationSeconds.observe({ provider: names[i], model: entry.model }, out.ms / 1000);
+      if (i > 0) METRICS.translationFallbacks.inc({ provider: names[i] });
+      if (cacheKey && r.text) translationCache.set(cacheKey, { text: r.text, provider: provider, model: entry.model }, Buffer.byteLength(r.text) + 64);
+      if (glossary) {
+        out.glossary = verifyGlossary(glossary, text, r.text);
+        if (out.glossary.missing.length) log.warn("glossary.not_honored", Object.assign({ stage: "translation", provider: provider, missing: out.glossary.missing.length }, logCtx));
+      }
+      return out;
+    } catch (e) {
+      if (signal && signal.aborted) throw e;
+      lastErr = e;
+      if (!/_unavailable$/.test(e.code || "")) requestErr = e;
+      failures.push({ provider: names[i], reason: e.details ? e.details.reason : "error", retryInMs: e.details ? e.details.retryInMs : undefined });
+      log.warn("translation.provider_failed", Object.assign({ stage: "translation", provider: names[i], err: e }, logCtx));
+    }
+  }
+  if (requestErr) {
+    requestErr.details.providers = failures;
+    throw requestErr;
+  }
+  var err = new Error("Translation unavailable: " + errorMessage(lastErr));
+  err.code = "translation_unavailable";
+  err.stage = "translation";
+  err.details = { providers: failures };
+  // Every provider cooling down: the chain is back once the first breaker half-opens
+  if (failures.every(function(f) { return f.reason === "circuit_open"; })) {
+    err.details.retryInMs = Math.min.apply(null, failures.map(function(f) { return f.retryInMs; }));
+  }
+  throw err;
+}
+
+function ttsCacheKeyFor(providers, p, text, voice, format, opts) {
+  if (!CACHE_ENABLED || (opts && opts.noCache)) return null;
+  return ttsCacheKey(providers.tts, p.model, voice, format, text);
+}
+
+// The requested format if the provider can encode it, else its first supported one
+function providerTtsFormat(p, format) {
+  var fmt = TTS_FORMATS[format] ? format : "mp3";
+  return !p.formats || p.formats.indexOf(fmt) !== -1 ? fmt : p.formats[0];
+}
+
+// opts: {noCache, signal}; result carries `cached` and the `format` actually served
+async function synthesizeSpeech(providers, text, voice, format, opts) {
+  var p = getProvider("tts", providers.tts);
+  if (!p) throw new Error("TTS provider unavailable: " + providers.tts);
+  var fmt = providerTtsFormat(p, format);
+  var t0 = nowMs();
+  var cacheKey = ttsCacheKeyFor(providers, p, text, voice, fmt, opts);
+  var hit = cacheKey ? ttsCache.get(cacheKey) : null;
+  if (hit) return { buffer: hit.buffer, ms: nowMs() - t0, model: hit.model, mime: hit.mime, format: fmt, cached: true };
+  var result = await callProvider("tts", providers.tts, opts && opts.signal, function(signal) {
+    return p.synthesize({ text: text, voice: voice, format: fmt, signal: signal });
+  });
+  METRICS.ttsSeconds.observe({ provider: providers.tts, model: result.model, mode: "full" }, result.ms / 1000);
+  if (cacheKey) ttsCache.set(cacheKey, { buffer: result.buffer, model: result.model, mime: result.mime }, result.buffer.length);
+  return Object.assign({ cached: false, format: fmt }, result);
+}
+
+// transient frames (another speaker's room audio) stay out of the resume outbox,
+// like the JSON that frames them
+function sendAudioFrame(ws, seq, index, buf, transient) {
+  var header = Buffer.alloc(8);
+  header.writeUInt32LE(seq, 0);
+  header.writeUInt32LE(index, 4);
+  sendBinary(ws, Buffer.concat([header, buf]), transient ? null : seq);
+}
+
+// A finished synthesis replayed to a tts_stream client in the streaming framing
+function replaySpeech(ws, seq, tts, voice, extra) {
+  var transient = Boolean(extra && extra.speakerId);
+  sendJson(ws, Object.assign({
+    type: "tts_start", seq: seq, format: tts.format, mime: tts.mime, sampleRate: TTS_FORMATS[tts.format].sampleRate || null, voice: voice, cached: tts.cached,
+  }, extra));
+  var chunks = 0;
+  for (var off = 0; off < tts.buffer.length; off += CACHE_STREAM_CHUNK_BYTES) sendAudioFrame(ws, seq, chunks++, tts.buffer.slice(off, off + CACHE_STREAM_CHUNK_BYTES), transient);
+  sendJson(ws, Object.assign({
+    type: "tts_end", seq: seq, format: tts.format, mime: tts.mime, bytes: tts.buffer.length, chunks: chunks,
+    model: tts.model, voice: voice, ms: tts.ms, cached: tts.cached,
+  }, extra));
+}
+
+/**
+ * tts_stream mode: {type:"tts_start"} JSON, then binary frames
+ * [u32 LE seq][u32 LE chunk index][audio bytes...], then {type:"tts_end"}.
+ * Returns the provider result plus firstChunkAt (epoch ms) for time-to-first-audio.
+ * A cache hit is replayed as CACHE_STREAM_CHUNK_BYTES frames; a miss is
+ * collected while streaming and cached once complete. Every tts_start gets a
+ * tts_end: an aborted stream ends with cancelled: true, a failed one with
+ * error: true and its code before rejecting. Failures are only retried before
+ * the first chunk.
+ */
+async function streamSpeech(ws, providers, seq, text, voice, format, extra, opts) {
+  var p = getProvider("tts", providers.tts);
+  if (!p) throw new Error("TTS provider unavailable: " + providers.tts);
+  var fmt = providerTtsFormat(p, format);
+  var chunks = 0;
+  var firstChunkAt = null;
+  var t0 = nowMs();
+  var cacheKey = ttsCacheKeyFor(providers, p, text, voice, fmt, opts);
+  var hit = cacheKey ? ttsCache.get(cacheKey) : null;
+
+  function onChunk(buf) {
+    if (firstChunkAt === null) firstChunkAt = nowMs();
+    sendAudioFrame(ws, seq, chunks++, buf);
+  }
+
+  sendJson(ws, Object.assign({
+    type: "tts_start", seq: seq, format: fmt, mime: TTS_FORMATS[fmt].mime, sampleRate: TTS_FORMATS[fmt].sampleRate || null, voice: voice, cached: Boolean(hit),
+  }, extra));
+  var result;
+  try {
+    if (hit) {
+      for (var off = 0; off < hit.buffer.length; off += CACHE_STREAM_CHUNK_BYTES) onChunk(hit.buffer.slice(off, off + CACHE_STREAM_CHUNK_BYTES));
+      result = { bytes: hit.buffer.length, ms: nowMs() - t0, model: hit.model, mime: hit.mime, cached: true };
+    } else {
+      var parts = [];
+      result = await callProvider("tts", providers.tts, opts && opts.signal, function(signal) {
+        return p.synthesizeStream({
+          text: text, voice: voice, format: fmt, signal: signal,
+          onChunk: function(buf) {
+            if (cacheKey) parts.push(buf);
+            onChunk(buf);
+          },
+        });
+      }, { canRetry: function() { return chunks === 0; } });
+      result = Object.assign({ cached: false }, result);
+      METRICS.ttsSeconds.observe({ provider: providers.tts, model: result.model, mode: "stream" }, result.ms / 1000);
+      if (cacheKey) ttsCache.set(cacheKey, { buffer: Buffer.concat(parts), model: result.model, mime: result.mime }, result.bytes);
+    }
+    if (opts && opts.signal) opts.signal.throwIfAborted();
+  } catch (e) {
+    var aborted = Boolean(opts && opts.signal && opts.signal.aborted);
+    sendJson(ws, Object.assign({
+      type: "tts_end", seq: seq, format: fmt, mime: TTS_FORMATS[fmt].mime, chunks: chunks, voice: voice,
+      cancelled: aborted || undefined, error: aborted ? undefined : true, code: aborted ? undefined : e.code || "tts_failed",
+    }, extra));
+    throw e;
+  }
+  sendJson(ws, Object.assign({
+    type: "tts_end", seq: seq, format: fmt, mime: result.mime, bytes: result.bytes, chunks: chunks,
+    model: result.model, voice: voice, ms: result.ms, cached: result.cached,
+  }, extra));
+  return Object.assign({ chunks: chunks, firstChunkAt: firstChunkAt }, result);
+}
+
+function checkDefaultProviders() {
+  var defaults = defaultProviders();
+  var missing = [];
+  if (!getProvider("stt", defaults.stt)) missing.push("stt=" + defaults.stt);
+  if (!defaults.translation.some(function(name) { return getProvider("translation", name); })) missing.push("translation=" + defaults.translation.join(","));
+  if (!getProvider("tts", defaults.tts)) missing.push("tts=" + defaults.tts);
+  if (missing.length > 0) {
+    log.error("boot.providers_unavailable", { missing: missing, hint: "Missing OPENAI_API_KEY / DEEPL_API_KEY (or MOCK_PROVIDERS=true for mock)?" });
+    process.exit(1);
+  }
+}
+checkDefaultProviders();
+
+// -------------------------
+// Connection state
+// -------------------------
+function makeConnectionState() {
+  return {
+    id: makeConnId(),
+    config: {
+      sourceLang: "", targetLang: "en", targetLangs: [], auto_bidi: false, bidiFallback: "forward",
+      voice: OPENAI_TTS_VOICE, voices: {}, vad: makeVadConfig(),
+      providers: defaultProviders(), mock: null, tts_stream: false, ttsFormat: "mp3",
+      audioFormat: defaultAudioFormat(), context: makeContextConfig(), cache: true,
+      hallucination: makeHallucinationConfig(), bargeIn: false, interim: makeInterimConfig(),
+      longForm: makeLongFormConfig(), dsp: makeDspConfig(),
+    },
+    auth: null, tenantId: "public", usage: makeConnUsage(), meter: null,
+    pcmChunks: [], pcmBytes: 0, pcmStartedAt: 0, vad: makeVadState(), interim: makeInterimState(), room: null,
+    jobs: [], active: [], longForm: null, partialId: 0, partialCount: 0,
+    decoder: makeAudioDecoder(defaultAudioFormat()), decoderFailed: false,
+    seq: 0,
+    lastSttText: "", lastSttTime: 0, history: [], glossary: null,
+    channel: makeSessionChannel(), resumeToken: "", transcriptToken: "", detachedAt: 0, expireTimer: null,
+  };
+}
+
+function applyTenant(state, auth) {
+  state.auth = auth || { tenantId: "public", method: "none", scopes: {} };
+  state.tenantId = state.auth.tenantId;
+  state.config.providers = scopedDefaultProviders(state.auth);
+  state.config.voice = scopedDefaultVoice(state.auth);
+}
+
+function resetAudioBuffer(state) {
+  state.pcmChunks = [];
+  state.pcmBytes = 0;
+  state.partialId = 0;
+  resetInterimState(state);
+}
+
+// Container decoders hold stream state (headers, partial pages), so they are
+// only rebuilt on config/reset, not on every flush
+function resetDecoder(state) {
+  if (state.decoder) state.decoder.close();
+  state.decoder = makeAudioDecoder(state.config.audioFormat);
+  state.decoderFailed = false;
+}
+function appendPcm(state, buf) {
+  if (state.pcmBytes === 0) state.pcmStartedAt = nowMs();
+  state.pcmChunks.push(buf);
+  state.pcmBytes += buf.length;
+}
+
+// -------------------------
+// Rooms
+// -------------------------
+// Keyed by roomKey(): the same room name in two tenants is two rooms
+const rooms = new Map();
+
+function roomKey(tenantId, roomId) { return tenantId + "/" + roomId; }
+
+function isValidRoomId(id) { return typeof id === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(id); }
+
+function describeParticipant(p) { return { id: p.state.id, name: p.name, lang: p.lang }; }
+
+function broadcastToRoom(room, obj, exceptId) {
+  room.participants.forEach(function(p, id) { if (id !== exceptId) sendJson(p.ws, obj); });
+}
+
+function joinRoom(ws, state, msg) {
+  var roomId = typeof msg.room === "string" ? msg.room.trim() : "";
+  if (!isValidRoomId(roomId)) { sendJson(ws, { type: "error", stage: "room", message: "Invalid room id.", details: { code: "bad_room" } }); return; }
+  var lang = normalizeLangCode(msg.lang);
+  if (!lang) { sendJson(ws, { type: "error", stage: "room", message: "Missing participant language.", details: { code: "bad_lang" } }); return; }
+  if (!scopeAllows(state.auth, "languages", lang)) { sendJson(ws, { type: "error", stage: "room", message: "Language not allowed for tenant: " + lang, details: { code: "forbidden" } }); return; }
+  if (typeof msg.voice === "string" && msg.voice.trim() && !scopeAllows(state.auth, "voices", msg.voice.trim())) {
+    sendJson(ws, { type: "error", stage: "room", message: "Voice not allowed for tenant: " + msg.voice.trim(), details: { code: "forbidden" } });
+    return;
+  }
+
+  if (state.room && state.room.id !== roomId) leaveRoom(ws, state, "switch");
+
+  var key = roomKey(state.tenantId, roomId);
+  var room = rooms.get(key);
+  if (!room) { room = { id: roomId, key: key, participants: new Map(), createdAt: nowMs() }; rooms.set(key, room); }
+  if (!room.participants.has(state.id) && room.participants.size >= ROOM_MAX_PARTICIPANTS) {
+    sendJson(ws, { type: "error", stage: "room", message: "Room is full.", details: { code: "room_full", max: ROOM_MAX_PARTICIPANTS } });
+    return;
+  }
+
+  var name = typeof msg.name === "string" && msg.name.trim() ? truncate(msg.name.trim(), 64) : state.id;
+  var voice = typeof msg.voice === "string" && msg.voice.trim() ? msg.voice.trim() : resolveVoice(state.config, lang);
+  if (!voice) { sendJson(ws, { type: "error", stage: "room", message: "No voice allowed for tenant.", details: { code: "forbidden" } }); return; }
+  var participant = { ws: ws, state: state, lang: lang, name: name, voice: voice };
+  room.participants.set(state.id, participant);
+  state.room = { id: roomId, key: key, lang: lang, name: name };
+
+  log.info("room.join", { room: roomId, conn: state.id, lang: lang, size: room.participants.size });
+  sendJson(ws, {
+    type: "room_joined", room: roomId, participantId: state.id, lang: lang,
+    participants: Array.from(room.participants.values()).map(describeParticipant),
+  });
+  broadcastToRoom(room, Object.assign({ type: "participant_joined", room: roomId }, describeParticipant(participant)), state.id);
+}
+
+function leaveRoom(ws, state, reason) {
+  if (!state.room) return;
+  var roomId = state.room.id;
+  var room = rooms.get(state.room.key);
+  state.room = null;
+  if (!room) return;
+  room.participants.delete(state.id);
+  log.info("room.leave", { room: roomId, conn: state.id, reason: reason, size: room.participants.size });
+  broadcastToRoom(room, { type: "participant_left", room: roomId, id: state.id, reason: reason });
+  if (room.participants.size === 0) rooms.delete(room.key);
+  if (reason !== "close") sendJson(ws, { type: "room_left", room: roomId });
+}
+
+/**
+ * Fan out one finalized utterance: translate + synthesize once per distinct
+ * listener language (in parallel), deliver to every other participant.
+ * Returns per-language timings for the speaker's `done` breakdown; an aborted
+ * `signal` (cancel) rejects instead of reporting per-listener errors.
+ */
+async function deliverToRoom(state, seq, sttText, signal) {
+  var room = state.room ? rooms.get(state.room.key) : null;
+  if (!room) return {};
+  var speakerLang = state.room.lang;
+  var byLang = new Map();
+  room.participants.forEach(function(p, id) {
+    if (id === state.id) return;
+    if (!byLang.has(p.lang)) byLang.set(p.lang, []);
+    byLang.get(p.lang).push(p);
+  });
+
+  var breakdown = {};
+  await Promise.all(Array.from(byLang.keys()).map(async function(lang) {
+    var listeners = byLang.get(lang);
+    var base = { room: room.id, speakerId: state.id, speakerName: state.room.name, seq: seq, sourceLang: speakerLang, targetLang: lang };
+    var logCtx = { conn: state.id, seq: seq, room: room.id, lang: lang };
+    try {
+      var tr = await translateText(sttText, speakerLang, lang, state.config.providers.translation, logCtx, state.meter, {
+        glossary: glossaryForPair(sessionGlossary(state), speakerLang, lang), noCache: !state.config.cache, signal: signal,
+      });
+      signal.throwIfAborted();
+      listeners.forEach(function(p) {
+        sendJson(p.ws, Object.assign({ type: "translation", text: tr.text, sourceText: sttText, provider: tr.provider, ms: tr.ms, glossary: tr.glossary, cached: tr.cached }, base));
+      });
+
+      var ttsInput = sanitizeTextForTTS(tr.text);
+      if (!ttsInput) { breakdown[lang] = { translationMs: tr.ms, ttsMs: 0, listeners: listeners.length }; return; }
+      // One synthesis per distinct (voice, ttsFormat) among the listeners; each listener
+      // then gets it as a tts message or, with tts_stream, as tts_start / frames / tts_end
+      var variants = new Map();
+      listeners.forEach(function(p) {
+        var key = p.voice + "\n" + p.state.config.ttsFormat;
+        if (!variants.has(key)) variants.set(key, { voice: p.voice, format: p.state.config.ttsFormat, listeners: [] });
+        variants.get(key).listeners.push(p);
+      });
+      var ttsMs = 0;
+      await Promise.all(Array.from(variants.values()).map(async function(v) {
+        enforceQuota(state.meter, "ttsChars", ttsInput.length);
+        var tts = await synthesizeSpeech(state.config.providers, ttsInput, v.voice, v.format, { noCache: !state.config.cache, signal: signal });
+        recordUsage(state.meter, "ttsChars", ttsInput.length);
+        signal.throwIfAborted();
+        ttsMs = Math.max(ttsMs, tts.ms);
+        log.info("tts.result", Object.assign({ stage: "tts", mode: "full", format: tts.format, ms: tts.ms, bytes: tts.buffer.length, cached: tts.cached, listeners: v.listeners.length }, logCtx));
+        v.listeners.forEach(function(p) {
+          if (p.state.config.tts_stream) { replaySpeech(p.ws, seq, tts, v.voice, Object.assign({ lang: lang }, base)); return; }
+          sendJson(p.ws, Object.assign({
+            type: "tts", audioB64: tts.buffer.toString("base64"), mime: tts.mime,
+            bytes: tts.buffer.length, model: tts.model, voice: v.voice, ms: tts.ms, lang: lang, cached: tts.cached,
+          }, base));
+        });
+      }));
+      breakdown[lang] = { translationMs: tr.ms, ttsMs: ttsMs, listeners: listeners.length, variants: variants.size };
+    } catch (e) {
+      if (signal.aborted) throw e;
+      var msg = (e && e.message) ? String(e.message) : "Unknown error";
+      log.error("room.delivery_failed", Object.assign({ stage: "room", err: e }, logCtx));
+      var details = e && e.code ? Object.assign({ code: e.code }, e.details) : undefined;
+      listeners.forEach(function(p) { sendJson(p.ws, Object.assign({ type: "error", stage: "room", message: msg, details: details }, base)); });
+      breakdown[lang] = { error: msg, listeners: listeners.length, ttsUnavailable: e && e.code === "tts_unavailable" ? true : undefined };
+    }
+  }));
+  return breakdown;
+}
+
+// -------------------------
+// Session transcripts
+// -------------------------
+const transcripts = new Map();
+const TRANSCRIPT_FORMATS = ["json", "srt", "vtt", "txt"];
+
+function transcriptFilePath(sessionId) { return path.join(TRANSCRIPT_DIR, sessionId + ".json"); }
+
+function isValidSessionId(id) { return typeof id === "string" && /^[a-f0-9]{16}$/.test(id); }
+
+// The token goes to the owning connection only (ready.transcriptToken); just its hash is kept
+function startTranscript(state) {
+  state.transcriptToken = crypto.randomBytes(18).toString("base64url");
+  var t = {
+    id: state.id, tenantId: state.tenantId, tokenHash: sha256Hex(state.transcriptToken),
+    startedAt: nowMs(), updatedAt: nowMs(), closedAt: null, entries: [], writing: Promise.resolve(),
+  };
+  transcripts.set(state.id, t);
+  return t;
+}
+
+function transcriptTokenMatches(t, token) {
+  if (!token || typeof t.tokenHash !== "string") return false;
+  var expected = Buffer.from(t.tokenHash, "hex");
+  var actual = Buffer.from(sha256Hex(token), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Serialized per session (temp file + rename) so a crash never leaves half a file
+function persistTranscript(t) {
+  if (!TRANSCRIPT_DIR) return;
+  var data = JSON.stringify({ id: t.id, tenantId: t.tenantId, tokenHash: t.tokenHash, startedAt: t.startedAt, updatedAt: t.updatedAt, closedAt: t.closedAt, entries: t.entries });
+  t.writing = t.writing.then(function() {
+    var tmp = transcriptFilePath(t.id) + ".tmp";
+    return fs.promises.writeFile(tmp, data).then(function() { return fs.promises.rename(tmp, transcriptFilePath(t.id)); });
+  }).catch(function(e) { log.error("transcript.persist_failed", { conn: t.id, err: e }); });
+}
+
+/**
+ * One entry per finalized utterance. Times are relative to session start:
+ * the utterance starts when its first audio arrived and lasts durationMs.
+ * With config.targetLangs, translation is the first language that succeeded
+ * and `translations` maps every language to its text.
+ */
+function addTranscriptEntry(state, entry) {
+  var t = transcripts.get(state.id);
+  if (!t) return;
+  var startMs = Math.max(0, entry.audioStartedAt - t.startedAt);
+  t.entries.push({
+    seq: entry.seq, startMs: startMs, endMs: startMs + entry.durationMs, durationMs: entry.durationMs,
+    sourceText: entry.sourceText, detectedLang: entry.detectedLang || null, sourceLang: entry.sourceLang || null,
+    targetLang: entry.targetLang || null, translation: entry.translation, provider: entry.provider,
+    translations: entry.translations,
+  });
+  if (t.entries.length > TRANSCRIPT_MAX_ENTRIES) t.entries.splice(0, t.entries.length - TRANSCRIPT_MAX_ENTRIES);
+  t.updatedAt = nowMs();
+  persistTranscript(t);
+}
+
+function closeTranscript(state) {
+  var t = transcripts.get(state.id);
+  if (!t) return;
+  t.closedAt = nowMs();
+  if (t.entries.length === 0) { transcripts.delete(state.id); return; }
+  persistTranscript(t);
+}
 
-  var text = "";
-  try { text = result.text.trim(); } catch (e) { text = ""; }
-  var language = "";
-  try { language = result.language || ""; } catch (e) { language = ""; }
-  var segments = [];
-  try { segments = Array.isArray(result.segments) ? result.segments : []; } catch (e) { segments = []; }
+function loadPersistedTranscripts() {
+  if (!TRANSCRIPT_DIR) return;
+  try {
+    fs.mkdirSync(TRANSCRIPT_DIR, { recursive: true });
+    var files = fs.readdirSync(TRANSCRIPT_DIR).filter(function(f) { return /^[a-f0-9]{16}\.json$/.test(f); });
+    var loaded = 0;
+    files.forEach(function(f) {
+      var json = safeJsonParse(fs.readFileSync(path.join(TRANSCRIPT_DIR, f), "utf8"));
+      if (!json || !isValidSessionId(json.id) || !Array.isArray(json.entries)) return;
+      if (nowMs() - (json.updatedAt || 0) > TRANSCRIPT_RETENTION_MS) return;
+      json.closedAt = json.closedAt || json.updatedAt;
+      json.writing = Promise.resolve();
+      transcripts.set(json.id, json);
+      loaded++;
+    });
+    log.info("transcript.loaded", { sessions: loaded, dir: TRANSCRIPT_DIR });
+  } catch (e) {
+    log.error("transcript.load_failed", { dir: TRANSCRIPT_DIR, err: e });
+  }
+}
 
-  var avgNoSpeech = null, avgLogprob = null, avgCompressionRatio = null;
+// Live sessions are never expired; closed ones go after the retention period
+function sweepTranscripts() {
+  var cutoff = nowMs() - TRANSCRIPT_RETENTION_MS;
+  transcripts.forEach(function(t, id) {
+    if (!t.closedAt || t.updatedAt > cutoff) return;
+    transcripts.delete(id);
+    if (TRANSCRIPT_DIR) fs.promises.unlink(transcriptFilePath(id)).catch(function() {});
+  });
+}
+setInterval(sweepTranscripts, 60 * 1000).unref();
 
-  if (segments.length > 0) {
-    var sumNS = 0, cNS = 0, sumLP = 0, cLP = 0, sumCR = 0, cCR = 0;
-    for (var i = 0; i < segments.length; i++) {
-      var s = segments[i];
-      if (s && typeof s.no_speech_prob === "number") { sumNS += s.no_speech_prob; cNS++; }
-      if (s && typeof s.avg_logprob === "number") { sumLP += s.avg_logprob; cLP++; }
-      if (s && typeof s.compression_ratio === "number") { sumCR += s.compression_ratio; cCR++; }
-    }
-    if (cNS > 0) avgNoSpeech = sumNS / cNS;
-    if (cLP > 0) avgLogprob = sumLP / cLP;
-    if (cCR > 0) avgCompressionRatio = sumCR / cCR;
+function pad2(n) { return (n < 10 ? "0" : "") + n; }
+
+function formatTimestamp(ms, sep) {
+  var h = Math.floor(ms / 3600000), m = Math.floor(ms / 60000) % 60, sec = Math.floor(ms / 1000) % 60, milli = ms % 1000;
+  return pad2(h) + ":" + pad2(m) + ":" + pad2(sec) + sep + String(milli).padStart(3, "0");
+}
+
+// which: "source" | "translation" | "both" (source line, then translation line)
+function cueText(e, which) {
+  if (which === "source") return e.sourceText;
+  if (which === "translation") return e.translation;
+  return e.translation && e.translation !== e.sourceText ? e.sourceText + "\n" + e.translation : e.sourceText;
+}
+
+function renderTranscript(t, format, which) {
+  if (format === "srt") {
+    return t.entries.map(function(e, i) {
+      return (i + 1) + "\n" + formatTimestamp(e.startMs, ",") + " --> " + formatTimestamp(e.endMs, ",") + "\n" + cueText(e, which) + "\n";
+    }).join("\n");
+  }
+  if (format === "vtt") {
+    return "WEBVTT\n\n" + t.entries.map(function(e) {
+      return e.seq + "\n" + formatTimestamp(e.startMs, ".") + " --> " + formatTimestamp(e.endMs, ".") + "\n" + cueText(e, which) + "\n";
+    }).join("\n");
   }
+  if (format === "txt") {
+    return t.entries.map(function(e) {
+      return "[" + formatTimestamp(e.startMs, ".").slice(0, 8) + "] " + e.sourceText + (e.translation && e.translation !== e.sourceText ? " -> " + e.translation : "");
+    }).join("\n") + "\n";
+  }
+  return { sessionId: t.id, startedAt: new Date(t.startedAt).toISOString(), closedAt: t.closedAt ? new Date(t.closedAt).toISOString() : null, entries: t.entries };
+}
+
+const TRANSCRIPT_MIME = { srt: "application/x-subrip", vtt: "text/vtt", txt: "text/plain", json: "application/json" };
+
+// -------------------------
+// Session resume
+// -------------------------
+// The pipeline writes to a per-session channel instead of the socket, so a
+// session outlives its socket: results produced while the client is away are
+// kept (by utterance seq) and replayed after {type:"resume", token, lastSeq}.
+const sessions = new Map();
 
+function makeResumeToken() { return crypto.randomBytes(18).toString("base64url"); }
+
+function makeSessionChannel() {
+  var channel = {
+    OPEN: 1, socket: null, ended: false, outbox: [], outboxBytes: 0,
+    // Stays "open" while detached so in-flight utterances finish and get buffered
+    get readyState() { return channel.ended ? 3 : 1; },
+    deliver: function(data, binary, seq) {
+      if (RESUME_GRACE_MS > 0 && typeof seq === "number") {
+        var bytes = Buffer.byteLength(data);
+        channel.outbox.push({ seq: seq, data: data, binary: binary, bytes: bytes });
+        channel.outboxBytes += bytes;
+        while (channel.outboxBytes > RESUME_BUFFER_MAX_BYTES && channel.outbox.length > 1) channel.outboxBytes -= channel.outbox.shift().bytes;
+      }
+      var socket = channel.socket;
+      if (!socket || socket.readyState !== socket.OPEN) return;
+      try { socket.send(data, { binary: binary }); } catch (e) { /* ignore */ }
+    },
+  };
+  return channel;
+}
+
+// Client acknowledged everything up to and including `seq`
+function trimOutbox(channel, seq) {
+  while (channel.outbox.length && channel.outbox[0].seq <= seq) channel.outboxBytes -= channel.outbox.shift().bytes;
+}
+
+// What a resumed client needs to restore its UI; context, mock and the
+// tuning blocks stay server-side (the client sent them and can resend them)
+function resumedConfig(config) {
   return {
-    text: text, ms: ms, model: OPENAI_STT_MODEL, language: language,
-    segmentsCount: segments.length, avgNoSpeech: avgNoSpeech,
-    avgLogprob: avgLogprob, avgCompressionRatio: avgCompressionRatio,
+    sourceLang: config.sourceLang, targetLang: config.targetLang, targetLangs: config.targetLangs,
+    auto_bidi: config.auto_bidi, voice: config.voice, voices: config.voices, providers: config.providers,
+    ttsFormat: config.ttsFormat, tts_stream: config.tts_stream, audioFormat: config.audioFormat, bargeIn: config.bargeIn,
   };
 }
 
+function attachSocket(state, socket) {
+  state.channel.socket = socket;
+  socket.auth = state.auth;
+  socket.connState = state;
+  return state.channel;
+}
+
+function registerSession(state) {
+  state.resumeToken = makeResumeToken();
+  sessions.set(state.resumeToken, state);
+}
+
+function endSession(state, reason) {
+  if (state.channel.ended) return;
+  state.channel.ended = true;
+  clearTimeout(state.expireTimer);
+  sessions.delete(state.resumeToken);
+  state.jobs = [];
+  state.active.forEach(function(job) { abortTurn(job.turn, "session_ended"); });
+  resetInterimState(state);
+  leaveRoom(state.channel, state, "close");
+  state.decoder.close();
+  closeTranscript(state);
+  state.channel.outbox = [];
+  state.channel.outboxBytes = 0;
+  log.info("session.ended", { conn: state.id, reason: reason });
+}
+
+// Revoked credentials (4401) or resume disabled end the session with the socket
+function detachSocket(state, socket, code) {
+  var channel = state.channel;
+  if (channel.socket !== socket) return; // already taken over by a resume
+  channel.socket = null;
+  if (RESUME_GRACE_MS <= 0 || code === 4401) { endSession(state, "close"); return; }
+  state.detachedAt = nowMs();
+  state.expireTimer = setTimeout(function() { endSession(state, "expired"); }, RESUME_GRACE_MS);
+  state.expireTimer.unref();
+  log.info("session.detached", { conn: state.id, graceMs: RESUME_GRACE_MS, buffered: channel.outbox.length });
+}
+
+/**
+ * Move `socket` from its fresh session onto the one named by msg.token.
+ * Returns {state} or {error, code}. The token is rotated on every resume.
+ */
+function resumeSession(socket, fresh, msg) {
+  var target = typeof msg.token === "string" ? sessions.get(msg.token) : null;
+  if (!target || target === fresh) return { error: "Unknown or expired session.", code: "resume_expired" };
+  if (target.tenantId !== fresh.tenantId || !isAuthStillValid(target.auth)) return { error: "Session belongs to another tenant.", code: "forbidden" };
+  if (fresh.room || fresh.seq > 0 || fresh.jobs.length || fresh.active.length || fresh.pcmBytes > 0) {
+    return { error: "This connection already started its own session; resume on a new connection.", code: "resume_refused" };
+  }
+
+  // The old socket may not have noticed the drop yet
+  var old = target.channel.socket;
+  if (old && old !== socket) {
+    target.channel.socket = null;
+    try { old.close(4409, "Session resumed elsewhere"); } catch (e) {}
+  }
+  clearTimeout(target.expireTimer);
+  target.detachedAt = 0;
+
+  // The fresh session never did anything (its empty transcript is dropped)
+  fresh.channel.socket = null;
+  endSession(fresh, "resumed");
+
+  sessions.delete(target.resumeToken);
+  registerSession(target);
+  var channel = attachSocket(target, socket);
+  var lastSeq = Number(msg.lastSeq) || 0;
+  trimOutbox(channel, lastSeq);
+  var replay = channel.outbox.slice();
+
+  log.info("session.resumed", { conn: target.id, from: fresh.id, lastSeq: lastSeq, replayed: replay.length });
+  sendJson(channel, {
+    type: "resumed", id: target.id, resumeToken: target.resumeToken, transcriptToken: target.transcriptToken, lastSeq: lastSeq, seq: target.seq,
+    replayed: replay.length, processing: target.active.length > 0, bufferedAudioMs: pcmBytesToDurationMs(target.pcmBytes),
+    room: target.room ? target.room.id : null, config: resumedConfig(target.config),
+  });
+  replay.forEach(function(entry) {
+    try { socket.send(entry.data, { binary: entry.binary }); } catch (e) { /* ignore */ }
+  });
+  return { state: target };
+}
+
 // -------------------------
-// OpenAI TTS
+// Job queue (pipelined turns)
 // -------------------------
-async function openaiTTS(text, voice) {
-  var t0 = nowMs();
-  var mp3 = await openai.audio.speech.create({
-    model: OPENAI_TTS_MODEL,
-    voice: voice || OPENAI_TTS_VOICE,
-    input: text,
-    response_format: "mp3",
-    speed: 1.05,
+// Every flush (with a snapshot of its audio), long-form segment and typed text is
+// a job with its own seq. Up to PIPELINE_CONCURRENCY jobs run at once: guards and
+// STT of a spoken turn overlap the turns before it, everything from the repeat
+// check on waits until it is the oldest running job (so context, transcript and
+// room order stay by seq). Jobs write through a lane that holds their messages
+// until then, so each turn reaches the client whole and in seq order.
+function enqueueJob(state, job) {
+  job.seq = ++state.seq;
+  job.enqueuedAt = nowMs();
+  job.depth = state.jobs.length + state.active.length;
+  job.startedAt = 0;
+  job.orderWaitMs = 0;
+  job.turn = null;
+  job.isHead = false;
+  job.held = [];
+  job.head = new Promise(function(resolve) { job.becomeHead = resolve; });
+  job.lane = makeJobLane(state, job);
+  state.jobs.push(job);
+  pumpJobs(state);
+  return job;
+}
+
+// Partials tag the buffered utterance with their own id (seqs are only handed out
+// on flush, so turns stay in seq order); the job cut from the buffer takes it along
+function bufferPartialId(state) {
+  if (!state.partialId) state.partialId = ++state.partialCount;
+  return state.partialId;
+}
+
+function takePartialId(state) {
+  var id = state.partialId || undefined;
+  state.partialId = 0;
+  return id;
+}
+
+// Snapshots the buffer (long-form: cut into parts first) as an audio job
+function enqueueFlush(state) {
+  if (state.config.longForm.enabled) cutSegments(state);
+  var job = { kind: "audio", partialId: takePartialId(state), pcm: Buffer.concat(state.pcmChunks, state.pcmBytes), audioStartedAt: state.pcmStartedAt, longForm: nextLongFormPart(state, true) };
+  resetAudioBuffer(state);
+  return enqueueJob(state, job);
+}
+
+// Same shape as the session channel, so sendJson/sendBinary work unchanged
+function makeJobLane(state, job) {
+  return {
+    OPEN: 1,
+    get readyState() { return state.channel.readyState; },
+    deliver: function(data, binary, seq) {
+      if (job.isHead) state.channel.deliver(data, binary, seq);
+      else job.held.push([data, binary, seq]);
+    },
+  };
+}
+
+function promoteHead(state) {
+  var job = state.active[0];
+  if (!job || job.isHead) return;
+  job.isHead = true;
+  job.held.forEach(function(m) { state.channel.deliver(m[0], m[1], m[2]); });
+  job.held = [];
+  job.becomeHead();
+}
+
+function pumpJobs(state) {
+  while (state.jobs.length && state.active.length < PIPELINE_CONCURRENCY) {
+    var job = state.jobs.shift();
+    job.startedAt = nowMs();
+    state.active.push(job);
+    promoteHead(state);
+    var run = job.kind === "text" ? processText : processUtterance;
+    run(job.lane, state, job).catch(function(e) { log.error("pipe.job_failed", { conn: state.id, err: e }); });
+  }
+}
+
+// Waits until every earlier job has finished; throws if cancelled meanwhile
+async function awaitTurnOrder(turn) {
+  var job = turn.job;
+  if (!job.isHead) {
+    var since = nowMs();
+    turn.stage = "queued";
+    await job.head;
+    job.orderWaitMs = nowMs() - since;
+  }
+  enterStage(turn);
+}
+
+// Called once per job, also when it failed early: it still leaves in seq order
+// so its held messages go out after the turns before it
+async function endTurn(state, job) {
+  await job.head;
+  state.active.splice(state.active.indexOf(job), 1);
+  if (state.channel.readyState !== state.channel.OPEN) {
+    state.jobs = [];
+    return;
+  }
+  promoteHead(state);
+  pumpJobs(state);
+}
+
+// Drops queued (not yet started) jobs matching `match` (all by default)
+function dropQueuedJobs(state, match) {
+  var dropped = { audio: 0, text: 0, seqs: [] };
+  state.jobs = state.jobs.filter(function(job) {
+    if (match && !match(job)) return true;
+    dropped[job.kind]++;
+    dropped.seqs.push(job.seq);
+    return false;
   });
-  var buffer = Buffer.from(await mp3.arrayBuffer());
-  return { buffer: buffer, ms: nowMs() - t0, model: OPENAI_TTS_MODEL };
+  return dropped;
+}
+
+function queuedAudioBytes(state) {
+  return state.jobs.reduce(function(n, job) { return n + (job.pcm ? job.pcm.length : 0); }, 0);
+}
+
+function queueBreakdown(turn) {
+  var job = turn.job;
+  return { queueDepth: job.depth, queueWaitMs: job.startedAt - job.enqueuedAt, orderWaitMs: job.orderWaitMs };
 }
 
 // -------------------------
-// Connection state
+// Cancellation / barge-in
 // -------------------------
-function makeConnectionState() {
-  return {
-    id: makeConnId(),
-    config: { sourceLang: "", targetLang: "en", auto_bidi: false, voice: OPENAI_TTS_VOICE },
-    pcmChunks: [], pcmBytes: 0,
-    isProcessing: false, pendingFlush: false, seq: 0,
-    lastSttText: "", lastSttTime: 0,
+// Each utterance runs as a turn with its own AbortController whose signal is
+// handed to every provider call, so cancelling stops the spend, not just the output.
+// ttsSignal also fires on barge-in, which only stops synthesis
+function startTurn(job) {
+  var controller = new AbortController();
+  var ttsController = new AbortController();
+  job.turn = {
+    seq: job.seq, job: job, longForm: job.longForm, stage: "ingest", controller: controller, reason: "", skipTts: false,
+    ttsController: ttsController, ttsSignal: AbortSignal.any([controller.signal, ttsController.signal]),
   };
+  return job.turn;
+}
+
+function abortTurn(turn, reason) {
+  if (turn.controller.signal.aborted) return;
+  turn.reason = reason;
+  turn.controller.abort();
+}
+
+// Throws once the turn was aborted, so awaits that ignore the signal
+// (cache, DeepL glossary setup) cannot emit stale results
+function enterStage(turn, stage) {
+  turn.controller.signal.throwIfAborted();
+  if (stage) turn.stage = stage;
+}
+
+/**
+ * {type:"cancel", seq?}: aborts that utterance whatever its stage, or drops it
+ * while still queued. Without a seq every running turn is aborted and every
+ * queued flush and typed text dropped.
+ * Emits {type:"cancelled", seq, seqs, stage, reason, discardedFlush, discardedTexts}.
+ */
+function cancelUtterance(ws, state, msg) {
+  var wanted = typeof msg.seq === "number" ? msg.seq : null;
+  var running = state.active.filter(function(job) { return wanted === null || job.seq === wanted; });
+  var dropped = dropQueuedJobs(state, function(job) { return wanted === null || job.seq === wanted; });
+  if (!running.length && !dropped.seqs.length) {
+    var message = wanted === null ? "Nothing to cancel." : "Utterance not in flight: " + wanted;
+    sendJson(ws, { type: "error", stage: "cancel", message: message, details: { code: "not_in_flight", seq: wanted } });
+    return;
+  }
+  if (wanted === null) state.longForm = null;
+  var stage = running.length ? running[0].turn.stage : "queued";
+  running.forEach(function(job) {
+    METRICS.cancellations.inc({ reason: "cancel", stage: job.turn.stage });
+    abortTurn(job.turn, "cancel");
+  });
+  if (dropped.seqs.length) METRICS.cancellations.inc({ reason: "cancel", stage: "queued" }, dropped.seqs.length);
+  var seqs = running.map(function(job) { return job.seq; }).concat(dropped.seqs);
+  log.info("pipe.cancel", { conn: state.id, seq: seqs[0], seqs: seqs, stage: stage, discardedFlush: dropped.audio > 0, discardedTexts: dropped.text });
+  sendJson(ws, { type: "cancelled", seq: seqs[0], seqs: seqs, stage: stage, reason: "cancel", discardedFlush: dropped.audio > 0, discardedTexts: dropped.text });
 }
 
-function resetAudioBuffer(state) { state.pcmChunks = []; state.pcmBytes = 0; }
-function appendPcm(state, buf) { state.pcmChunks.push(buf); state.pcmBytes += buf.length; }
+/**
+ * config.bargeIn: new speech (vad_start) while earlier turns are running
+ * cancels their TTS. Their stt/translation still complete and are sent;
+ * the client should stop playing audio for the cancelled seqs. Room turns are
+ * left alone since their audio plays on the other participants' devices.
+ */
+function bargeIn(ws, state) {
+  state.active.forEach(function(job) {
+    var turn = job.turn;
+    if (turn.skipTts || turn.stage === "done" || turn.stage === "room") return;
+    turn.skipTts = true;
+    turn.ttsController.abort();
+    METRICS.cancellations.inc({ reason: "barge_in", stage: turn.stage });
+    log.info("pipe.barge_in", { conn: state.id, seq: turn.seq, stage: turn.stage });
+    sendJson(ws, { type: "cancelled", seq: turn.seq, stage: "tts", reason: "barge_in", discardedFlush: false, discardedTexts: 0 });
+  });
+}
 
 // -------------------------
 // WS connections
 // -------------------------
-wss.on("connection", function(ws, req) {
+wss.on("connection", function(socket, req) {
   var state = makeConnectionState();
-  var ip = "unknown";
-  try { ip = (req.headers["x-forwarded-for"] || "").toString().split(",")[0].trim() || req.socket.remoteAddress || "unknown"; } catch (e) {}
+  applyTenant(state, req.auth);
+  startTranscript(state);
+  var ip = clientIp(req);
+  state.meter = makeMeter(state.auth, ip, state.usage);
+  registerSession(state);
+  // Everything below writes through the session channel; reassigned on resume
+  var ws = attachSocket(state, socket);
 
-  console.log("[WS][" + state.id + "] connected ip=" + ip);
+  log.info("ws.connected", { conn: state.id, ip: ip, tenant: state.tenantId });
 
   sendJson(ws, {
-    type: "ready", id: state.id, version: "2.0", wsPath: WS_PATH,
+    type: "ready", id: state.id, version: "2.0", wsPath: WS_PATH, tenant: state.tenantId,
     models: { stt: OPENAI_STT_MODEL, tts: OPENAI_TTS_MODEL, translation: OPENAI_TRANSLATION_MODEL },
     voice: state.config.voice,
     deepl: { enabled: Boolean(DEEPL_API_KEY), endpoint: DEEPL_API_URL_PRIMARY || null },
+    providers: state.config.providers,
+    resumeToken: RESUME_GRACE_MS > 0 ? state.resumeToken : null, resumeGraceMs: RESUME_GRACE_MS,
+    transcriptToken: state.transcriptToken,
   });
 
-  ws.isAlive = true;
-  ws.on("pong", function() { ws.isAlive = true; });
+  socket.isAlive = true;
+  socket.on("pong", function() { socket.isAlive = true; });
 
   var pingTimer = setInterval(function() {
-    if (ws.readyState !== ws.OPEN) return;
-    if (!ws.isAlive) { try { ws.terminate(); } catch (e) {} return; }
-    ws.isAlive = false;
-    try { ws.ping(); } catch (e) {}
+    if (socket.readyState !== socket.OPEN) return;
+    if (!socket.isAlive) { try { socket.terminate(); } catch (e) {} return; }
+    socket.isAlive = false;
+    try { socket.ping(); } catch (e) {}
   }, WS_PING_INTERVAL_MS);
 
-  ws.on("close", function(code) { clearInterval(pingTimer); console.log("[WS][" + state.id + "] closed " + code); });
-  ws.on("error", function(err) { console.error("[WS][" + state.id + "] error", err); });
+  socket.on("close", function(code) {
+    clearInterval(pingTimer);
+    log.info("ws.closed", { conn: state.id, code: code });
+    detachSocket(state, socket, code);
+  });
+  socket.on("error", function(err) { log.error("ws.error", { conn: state.id, err: err }); });
 
-  ws.on("message", async function(data, isBinary) {
+  socket.on("message", async function(data, isBinary) {
     try {
       if (isBinary) {
-        var buf = Buffer.from(data);
-        if (buf.length % 2 !== 0) appendPcm(state, buf.slice(0, buf.length - 1));
-        else appendPcm(state, buf);
-        if (state.pcmBytes > MAX_PCM_BYTES_PER_UTTERANCE) {
-          resetAudioBuffer(state);
-          sendJson(ws, { type: "error", stage: "ingest", message: "Audio buffer overflow." });
+        if (state.decoderFailed) return;
+        var buf;
+        try {
+          buf = state.decoder.push(Buffer.from(data));
+        } catch (decErr) {
+          // Drop the stream until the client sends a new config or reset
+          state.decoderFailed = true;
+          log.warn("ingest.failed", { conn: state.id, stage: "ingest", code: decErr.code || "decode_failed", err: decErr });
+          sendJson(ws, { type: "error", stage: "ingest", message: decErr.message, details: { code: decErr.code || "decode_failed", audioFormat: state.config.audioFormat } });
+          return;
+        }
+        if (!buf || buf.length === 0) return;
+        // Only the chunk that would overflow is refused; buffered audio and queued parts stay
+        if (state.pcmBytes + queuedAudioBytes(state) + buf.length > MAX_PCM_BYTES_PER_UTTERANCE) {
+          sendJson(ws, { type: "error", stage: "ingest", message: "Audio buffer overflow.", details: { code: "buffer_overflow", droppedMs: pcmBytesToDurationMs(buf.length) } });
+          return;
         }
+        if (state.config.vad.enabled) vadIngest(ws, state, buf);
+        else appendPcm(state, buf);
+        if (state.config.longForm.enabled) cutSegments(state);
+        if (state.config.interim.enabled) maybeInterim(ws, state);
         return;
       }
 
@@ -584,31 +4542,196 @@ wss.on("connection", function(ws, req) {
       var type = String(msg.type || "").trim();
 
       if (type === "config") {
+        var scopeErr = checkConfigScope(state.auth, msg);
+        if (scopeErr) {
+          sendJson(ws, { type: "error", stage: "config", message: scopeErr, details: { code: "forbidden" } });
+          return;
+        }
+        // Validate every fallible field before touching state: a rejected config applies nothing
+        var tl = msg.targetLangs !== undefined ? parseTargetLangs(msg.targetLangs) : null;
+        if (tl && tl.error) {
+          sendJson(ws, { type: "error", stage: "config", message: tl.error, details: { code: "bad_target_langs", max: TARGET_LANGS_MAX } });
+          return;
+        }
+        var af = msg.audioFormat !== undefined ? parseAudioFormat(msg.audioFormat) : null;
+        if (af && af.error) {
+          sendJson(ws, { type: "error", stage: "ingest", message: af.error, details: { code: "bad_audio_format", supported: INPUT_ENCODINGS } });
+          return;
+        }
+        var pr = msg.providers !== undefined ? parseProvidersConfig(msg.providers, state.config.providers) : null;
+        if (pr && pr.error) {
+          sendJson(ws, { type: "error", stage: "config", message: pr.error, details: { code: "provider_unavailable" } });
+          return;
+        }
+        if (typeof msg.ttsFormat === "string" && !TTS_FORMATS[msg.ttsFormat]) {
+          sendJson(ws, { type: "error", stage: "config", message: "Unsupported ttsFormat: " + msg.ttsFormat, details: { code: "bad_format", supported: Object.keys(TTS_FORMATS) } });
+          return;
+        }
+        var dc = msg.dsp !== undefined ? parseDspConfig(msg.dsp, state.config.dsp) : null;
+        if (dc && dc.error) {
+          sendJson(ws, { type: "error", stage: "config", message: dc.error, details: { code: "bad_dsp", stages: Object.keys(DSP_STAGES) } });
+          return;
+        }
+
         if (typeof msg.sourceLang === "string") state.config.sourceLang = normalizeLangCode(msg.sourceLang);
         if (typeof msg.targetLang === "string") state.config.targetLang = normalizeLangCode(msg.targetLang) || "en";
+        if (tl) state.config.targetLangs = tl.langs;
         if (typeof msg.auto_bidi === "boolean") state.config.auto_bidi = msg.auto_bidi;
+        if (typeof msg.bidiFallback === "string" && BIDI_FALLBACKS.indexOf(msg.bidiFallback) !== -1) state.config.bidiFallback = msg.bidiFallback;
         if (typeof msg.voice === "string" && msg.voice.trim()) state.config.voice = msg.voice.trim();
-        console.log("[CFG][" + state.id + "] src=" + (state.config.sourceLang || "auto") + " tgt=" + state.config.targetLang);
+        if (msg.voices && typeof msg.voices === "object") {
+          var voices = {};
+          Object.keys(msg.voices).forEach(function(k) {
+            var code = normalizeLangCode(k);
+            if (code && typeof msg.voices[k] === "string" && msg.voices[k].trim()) voices[code] = msg.voices[k].trim();
+          });
+          state.config.voices = voices;
+        }
+        if (af) {
+          state.config.audioFormat = af.format;
+          resetAudioBuffer(state);
+          state.longForm = null;
+          resetVadState(state);
+          resetDecoder(state);
+        }
+        if (pr) state.config.providers = pr.providers;
+        if (typeof msg.tts_stream === "boolean") state.config.tts_stream = msg.tts_stream;
+        if (typeof msg.cache === "boolean") state.config.cache = msg.cache;
+        if (typeof msg.bargeIn === "boolean") state.config.bargeIn = msg.bargeIn;
+        if (typeof msg.ttsFormat === "string") state.config.ttsFormat = msg.ttsFormat;
+        if (msg.mock === null || (msg.mock && typeof msg.mock === "object")) state.config.mock = msg.mock;
+        if (msg.interim !== undefined) state.config.interim = parseInterimConfig(msg.interim, state.config.interim);
+        if (msg.longForm !== undefined) state.config.longForm = parseLongFormConfig(msg.longForm, state.config.longForm);
+        if (dc) state.config.dsp = dc.config;
+        if (msg.hallucination !== undefined) state.config.hallucination = parseHallucinationConfig(msg.hallucination, state.config.hallucination);
+        if (msg.context !== undefined) {
+          state.config.context = parseContextConfig(msg.context, state.config.context);
+          trimHistory(state);
+        }
+        if (msg.vad !== undefined) {
+          var wasVad = state.config.vad.enabled;
+          state.config.vad = parseVadConfig(msg.vad, state.config.vad);
+          if (wasVad !== state.config.vad.enabled) resetVadState(state);
+        }
+        log.info("config.updated", {
+          conn: state.id, sourceLang: state.config.sourceLang || "auto", targetLang: state.config.targetLang, targetLangs: state.config.targetLangs, audioFormat: state.config.audioFormat,
+          bidi: state.config.auto_bidi ? state.config.bidiFallback : "off", vad: state.config.vad.enabled, providers: state.config.providers,
+        });
         sendJson(ws, { type: "config_ack", config: state.config });
         return;
       }
 
+      if (type === "resume") {
+        if (RESUME_GRACE_MS <= 0) {
+          sendJson(ws, { type: "error", stage: "resume", message: "Session resume is disabled.", details: { code: "resume_disabled" } });
+          return;
+        }
+        var resumed = resumeSession(socket, state, msg);
+        if (resumed.error) {
+          sendJson(ws, { type: "error", stage: "resume", message: resumed.error, details: { code: resumed.code } });
+          return;
+        }
+        state = resumed.state;
+        ws = state.channel;
+        return;
+      }
+
+      if (type === "cancel") { cancelUtterance(ws, state, msg); return; }
+
+      if (type === "ack") {
+        if (typeof msg.seq === "number") trimOutbox(state.channel, msg.seq);
+        return;
+      }
+
       if (type === "reset") {
         resetAudioBuffer(state);
-        state.pendingFlush = false;
+        resetVadState(state);
+        resetDecoder(state);
+        dropQueuedJobs(state);
+        state.longForm = null;
         state.lastSttText = "";
         state.lastSttTime = 0;
+        state.history = [];
         sendJson(ws, { type: "reset_ack" });
         return;
       }
 
+      // {type:"glossary", name} uses a saved glossary, {pairs: [...]} an inline one, {clear: true} drops it
+      if (type === "glossary") {
+        if (msg.clear === true) {
+          state.glossary = null;
+        } else if (msg.name !== undefined) {
+          if (!isValidGlossaryName(msg.name) || !glossaries.has(glossaryKey(state.tenantId, msg.name))) {
+            sendJson(ws, { type: "error", stage: "glossary", message: "Glossary not found: " + msg.name, details: { code: "not_found" } });
+            return;
+          }
+          state.glossary = { name: msg.name };
+        } else {
+          var parsedGlossary = parseGlossary(msg);
+          if (parsedGlossary.error) {
+            sendJson(ws, { type: "error", stage: "glossary", message: parsedGlossary.error, details: { code: "bad_glossary" } });
+            return;
+          }
+          state.glossary = { name: null, pairs: parsedGlossary.pairs };
+        }
+        var active = sessionGlossary(state);
+        sendJson(ws, { type: "glossary_ack", glossary: active ? describeGlossary(active) : null });
+        return;
+      }
+
+      if (type === "get_transcript") {
+        var tFormat = TRANSCRIPT_FORMATS.indexOf(msg.format) !== -1 ? msg.format : "json";
+        var tWhich = ["source", "translation", "both"].indexOf(msg.text) !== -1 ? msg.text : "both";
+        var rendered = renderTranscript(transcripts.get(state.id), tFormat, tWhich);
+        sendJson(ws, tFormat === "json"
+          ? Object.assign({ type: "transcript", format: "json" }, rendered)
+          : { type: "transcript", sessionId: state.id, format: tFormat, content: rendered });
+        return;
+      }
+
+      if (type === "join_room") { joinRoom(ws, state, msg); return; }
+      if (type === "leave_room") { leaveRoom(ws, state, "leave"); return; }
+
+      if (type === "text") {
+        var typed = typeof msg.text === "string" ? msg.text.trim() : "";
+        if (!typed || typed.length > MAX_TEXT_CHARS) {
+          sendJson(ws, { type: "error", stage: "text", message: "text must be 1-" + MAX_TEXT_CHARS + " characters.", details: { code: "bad_text", max: MAX_TEXT_CHARS } });
+          return;
+        }
+        var typedLang = "";
+        if (typeof msg.lang === "string" && msg.lang.trim()) {
+          typedLang = normalizeLangCode(msg.lang);
+          if (!isLangCode(typedLang)) {
+            sendJson(ws, { type: "error", stage: "text", message: "Unknown language: " + msg.lang, details: { code: "bad_lang" } });
+            return;
+          }
+          if (!scopeAllows(state.auth, "languages", typedLang)) {
+            sendJson(ws, { type: "error", stage: "text", message: "Language not allowed for tenant: " + typedLang, details: { code: "forbidden" } });
+            return;
+          }
+        }
+        var queuedTexts = state.jobs.filter(function(job) { return job.kind === "text"; }).length;
+        if (queuedTexts >= MAX_QUEUED_TEXTS) {
+          sendJson(ws, { type: "error", stage: "text", message: "Too many queued turns.", details: { code: "queue_full", max: MAX_QUEUED_TEXTS } });
+          return;
+        }
+        var textJob = enqueueJob(state, { kind: "text", text: typed, lang: typedLang });
+        if (!textJob.isHead) sendJson(ws, { type: "text_ack", status: "queued", seq: textJob.seq, queued: textJob.depth });
+        return;
+      }
+
       if (type === "flush") {
-        if (state.isProcessing) { state.pendingFlush = true; sendJson(ws, { type: "flush_ack", status: "queued" }); return; }
-        await processUtterance(ws, state);
+        resetVadState(state);
+        if (state.pcmBytes <= 0 && !state.longForm) {
+          sendJson(ws, { type: "error", stage: "ingest", message: "No audio." });
+          return;
+        }
+        var flushJob = enqueueFlush(state);
+        if (!flushJob.isHead) sendJson(ws, { type: "flush_ack", status: "queued", seq: flushJob.seq, queued: flushJob.depth });
         return;
       }
     } catch (msgErr) {
-      console.error("[WS][" + state.id + "] msg error", msgErr);
+      log.error("ws.message_failed", { conn: state.id, err: msgErr });
     }
   });
 });
@@ -616,44 +4739,117 @@ wss.on("connection", function(ws, req) {
 // -------------------------
 // Pipeline
 // -------------------------
-async function processUtterance(ws, state) {
-  state.isProcessing = true;
-  state.pendingFlush = false;
-  var seq = ++state.seq;
+/**
+ * config.targetLangs: translate + synthesize one STT result per target language
+ * in parallel, each with its own voice. A failing language gets its own error
+ * and does not hold back the others. Streamed TTS goes out one language at a
+ * time so binary frames stay attributable to the tts_start/tts_end around them.
+ * Returns {breakdown, translations} keyed by language.
+ */
+async function deliverToTargets(ws, state, turn, targetLangs, sttText, src, detectedLang, startedAt) {
+  var seq = turn.seq;
+  var signal = turn.controller.signal;
+  var context = translationContext(state);
+  var glossary = sessionGlossary(state);
+  var breakdown = {};
+  var translations = {};
+  var streamQueue = Promise.resolve();
+
+  await Promise.all(targetLangs.map(async function(tgt) {
+    var stage = "translation";
+    var timing = breakdown[tgt] = {};
+    var logCtx = { conn: state.id, seq: seq, lang: tgt };
+    try {
+      if (!scopeAllows(state.auth, "languages", tgt)) throw Object.assign(new Error("Language not allowed for tenant: " + tgt), { code: "forbidden" });
+      var tr = await translateText(sttText, src, tgt, state.config.providers.translation, logCtx, state.meter, {
+        context: context, glossary: glossaryForPair(glossary, src || detectedLang, tgt), noCache: !state.config.cache, signal: signal,
+      });
+      signal.throwIfAborted();
+      translations[tgt] = tr.text;
+      timing.translationMs = tr.ms;
+      timing.provider = tr.provider;
+      sendJson(ws, {
+        type: "translation", text: tr.text, provider: tr.provider, sourceLang: src || "auto", targetLang: tgt, ms: tr.ms, seq: seq,
+        detectedLang: detectedLang, glossary: tr.glossary, cached: tr.cached,
+      });
+
+      stage = "tts";
+      var ttsInput = sanitizeTextForTTS(tr.text);
+      if (!ttsInput) throw new Error("TTS input empty.");
+      if (turn.skipTts) { timing.ttsCancelled = true; return; }
+      var voice = resolveVoice(state.config, tgt);
+      if (!voice) throw Object.assign(new Error("No voice allowed for tenant."), { code: "forbidden" });
+      enforceQuota(state.meter, "ttsChars", ttsInput.length);
+      var tts;
+      if (state.config.tts_stream) {
+        var run = streamQueue.then(function() {
+          turn.ttsSignal.throwIfAborted();
+          return streamSpeech(ws, state.config.providers, seq, ttsInput, voice, state.config.ttsFormat, { lang: tgt, targetLang: tgt }, { noCache: !state.config.cache, signal: turn.ttsSignal });
+        });
+        streamQueue = run.catch(function() {});
+        tts = await run;
+        timing.ttfaMs = tts.firstChunkAt === null ? null : tts.firstChunkAt - startedAt;
+      } else {
+        tts = await synthesizeSpeech(state.config.providers, ttsInput, voice, state.config.ttsFormat, { noCache: !state.config.cache, signal: turn.ttsSignal });
+        turn.ttsSignal.throwIfAborted();
+        sendJson(ws, {
+          type: "tts", audioB64: tts.buffer.toString("base64"), mime: tts.mime,
+          bytes: tts.buffer.length, model: tts.model, voice: voice, ms: tts.ms, seq: seq,
+          lang: tgt, targetLang: tgt, cached: tts.cached,
+        });
+        timing.ttfaMs = nowMs() - startedAt;
+      }
+      recordUsage(state.meter, "ttsChars", ttsInput.length);
+      log.info("tts.result", Object.assign({ stage: "tts", mode: state.config.tts_stream ? "stream" : "full", provider: state.config.providers.tts, ms: tts.ms, cached: tts.cached }, logCtx));
+      timing.ttsMs = tts.ms;
+    } catch (e) {
+      if (signal.aborted) throw e;
+      if (stage === "tts" && turn.ttsSignal.aborted) { timing.ttsCancelled = true; return; }
+      var msg = errorMessage(e);
+      log.error("pipe.target_failed", Object.assign({ stage: e.stage || stage, err: e }, logCtx));
+      sendJson(ws, { type: "error", stage: e.stage || stage, message: msg, details: Object.assign({ code: e.code, seq: seq, targetLang: tgt }, e.details) });
+      timing.error = msg;
+      if (e.code === "tts_unavailable") timing.ttsUnavailable = true;
+    }
+  }));
+  return { breakdown: breakdown, translations: translations };
+}
+
+async function processUtterance(ws, state, job) {
+  var seq = job.seq;
+  var turn = startTurn(job);
+  var signal = turn.controller.signal;
   var startedAt = nowMs();
-  var durationMs = pcmBytesToDurationMs(state.pcmBytes);
-  var pcm = state.pcmBytes > 0 ? Buffer.concat(state.pcmChunks, state.pcmBytes) : Buffer.alloc(0);
+  var pcm = job.pcm;
+  var durationMs = pcmBytesToDurationMs(pcm.length);
+  var audioStartedAt = job.audioStartedAt || startedAt;
   var metrics = computePcmMetrics(pcm);
 
-  console.log("[AUDIO][" + state.id + "][#" + seq + "] bytes=" + state.pcmBytes + " dur=" + durationMs + "ms rms=" + metrics.rms.toFixed(4) + " peak=" + metrics.peak.toFixed(4) + " clip=" + metrics.clipRate.toFixed(4));
+  log.info("audio.utterance", { conn: state.id, seq: seq, stage: "ingest", bytes: pcm.length, durationMs: durationMs, rms: round4(metrics.rms), peak: round4(metrics.peak), clipRate: round4(metrics.clipRate), longForm: job.longForm });
 
   try {
-    if (state.pcmBytes <= 0) { sendJson(ws, { type: "error", stage: "ingest", message: "No audio." }); return; }
-
-    if (durationMs < MIN_AUDIO_MS_FOR_STT) {
-      resetAudioBuffer(state);
-      sendJson(ws, { type: "error", stage: "stt", message: "Too short (" + durationMs + "ms).", details: { code: "too_short" } });
-      return;
-    }
-    if (metrics.rms < MIN_RMS) {
-      resetAudioBuffer(state);
-      sendJson(ws, { type: "error", stage: "stt", message: "Too quiet.", details: { code: "too_quiet", rms: metrics.rms } });
-      return;
-    }
-    if (metrics.clipRate > MAX_CLIP_RATE) {
-      resetAudioBuffer(state);
-      sendJson(ws, { type: "error", stage: "stt", message: "Clipped.", details: { code: "clipped" } });
+    // Recording ended on a part boundary: nothing left, the done below closes it
+    if (!pcm.length && job.longForm) return;
+    var audioGuard = checkAudioGuards(durationMs, metrics);
+    if (audioGuard) {
+      countRejection("ws", audioGuard.code);
+      sendJson(ws, { type: "error", stage: "stt", message: audioGuard.message, details: audioGuard.details });
       return;
     }
 
-    resetAudioBuffer(state);
+    // DSP chain (dc / highpass / denoise / agc / trim)
+    var dsp = runDspChain(pcm, state.config.dsp, metrics);
+    pcm = dsp.pcm;
+    if (dsp.report.stages.length) log.debug("audio.dsp", { conn: state.id, seq: seq, stages: dsp.report.stages, after: dsp.report.after });
 
-    // AGC
-    var agc = applyAGC(pcm, metrics.rms);
-    if (agc.applied) console.log("[AGC][" + state.id + "][#" + seq + "] gain=" + agc.gain + "x");
+    // In auto_bidi the speaker may use either language: let Whisper detect it
+    var sttLangHint = state.room ? state.room.lang : state.config.auto_bidi ? "" : state.config.sourceLang;
+    var whisperHint = getWhisperHint(sttLangHint);
+    log.info("pipe.start", { conn: state.id, seq: seq, sourceLang: state.config.sourceLang || "auto", targetLang: state.config.targetLang, hint: whisperHint || "auto" });
 
-    var whisperHint = getWhisperHint(state.config.sourceLang);
-    console.log("[PIPE][" + state.id + "][#" + seq + "] start src=" + (state.config.sourceLang || "auto") + " tgt=" + state.config.targetLang + " hint=" + (whisperHint || "auto"));
+    // Limits are checked before any provider spend
+    enforceRequestRate(state.meter, "stt");
+    enforceQuota(state.meter, "audioSeconds", durationMs / 1000);
 
     // WAV
     var wav = pcm16leToWavBuffer(pcm, AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE);
@@ -661,43 +4857,59 @@ async function processUtterance(ws, state) {
     fs.writeFileSync(wavPath, wav);
 
     // STT
-    var stt = await openaiSTT(wavPath, state.config.sourceLang);
-    console.log("[STT][" + state.id + "][#" + seq + "] ms=" + stt.ms + " lang=" + (stt.language || "-") + " text=\"" + truncate(stt.text, 200) + "\"");
-    console.log("[STT_Q][" + state.id + "][#" + seq + "] noSp=" + (stt.avgNoSpeech === null ? "-" : stt.avgNoSpeech.toFixed(3)) + " logp=" + (stt.avgLogprob === null ? "-" : stt.avgLogprob.toFixed(3)) + " comp=" + (stt.avgCompressionRatio === null ? "-" : stt.avgCompressionRatio.toFixed(3)));
-
-    // Quality guards
-    if (typeof stt.avgNoSpeech === "number" && stt.avgNoSpeech > MAX_NO_SPEECH_PROB) {
-      cleanupWav(wavPath);
-      sendJson(ws, { type: "error", stage: "stt", message: "No speech (p=" + stt.avgNoSpeech.toFixed(3) + ").", details: { code: "no_speech" } });
-      return;
-    }
-    if (typeof stt.avgLogprob === "number" && stt.avgLogprob < MIN_AVG_LOGPROB) {
-      cleanupWav(wavPath);
-      sendJson(ws, { type: "error", stage: "stt", message: "Low confidence.", details: { code: "low_conf", avgLogprob: stt.avgLogprob } });
-      return;
-    }
-    if (typeof stt.avgCompressionRatio === "number" && stt.avgCompressionRatio > MAX_COMPRESSION_RATIO) {
+    enterStage(turn, "stt");
+    var stt;
+    try {
+      stt = await transcribeAudio(state.config.providers, { wavPath: wavPath, pcm: pcm, languageHint: sttLangHint, mock: state.config.mock, signal: signal });
+    } catch (sttErr) {
       cleanupWav(wavPath);
-      sendJson(ws, { type: "error", stage: "stt", message: "Bad compression ratio.", details: { code: "high_compression" } });
-      return;
+      throw sttErr;
     }
+    recordUsage(state.meter, "audioSeconds", durationMs / 1000);
+    METRICS.audioSeconds.inc({ source: "ws" }, durationMs / 1000);
+    log.info("stt.result", {
+      conn: state.id, seq: seq, stage: "stt", provider: state.config.providers.stt, model: stt.model, ms: stt.ms, lang: stt.language || null, text: stt.text,
+      quality: { avgNoSpeech: round4(stt.avgNoSpeech), avgLogprob: round4(stt.avgLogprob), avgCompressionRatio: round4(stt.avgCompressionRatio) },
+    });
 
+    // Quality guards
     cleanupWav(wavPath);
+    enterStage(turn);
+    var sttGuard = checkSttGuards(stt);
+    if (sttGuard) {
+      countRejection("ws", sttGuard.code);
+      sendJson(ws, { type: "error", stage: "stt", message: sttGuard.message, details: sttGuard.details });
+      return;
+    }
 
     var sttText = (stt.text || "").trim();
-    if (!sttText) { sendJson(ws, { type: "error", stage: "stt", message: "Empty STT." }); return; }
+    if (!sttText) {
+      countRejection("ws", "empty");
+      sendJson(ws, { type: "error", stage: "stt", message: "Empty STT." });
+      return;
+    }
 
-    // Hallucination check
-    var hallu = checkHallucination(sttText, durationMs, stt.avgNoSpeech, stt.avgLogprob);
-    if (hallu.rejected) {
-      console.warn("[HALLU][" + state.id + "][#" + seq + "] BLOCKED \"" + truncate(sttText, 80) + "\" reason=" + hallu.reason);
-      sendJson(ws, { type: "error", stage: "stt", message: "Filtered: \"" + truncate(sttText, 40) + "\"", details: { code: "hallucination", reason: hallu.reason } });
+    // Hallucination check (dry run: reported on the stt message, not blocked)
+    var hallu = checkHallucination(sttText, durationMs, stt.avgNoSpeech, stt.avgLogprob, stt.language || sttLangHint, state.config.hallucination);
+    var halluReport;
+    if (hallu.rejected && state.config.hallucination.dryRun) {
+      log.warn("stt.hallucination", { conn: state.id, seq: seq, stage: "stt", reason: hallu.reason, dryRun: true, text: sttText });
+      countRejection("ws", "hallucination_dry_run", hallu.reason);
+      halluReport = { wouldBlock: true, reason: hallu.reason, match: hallu.match };
+    } else if (hallu.rejected) {
+      log.warn("stt.hallucination", { conn: state.id, seq: seq, stage: "stt", reason: hallu.reason, text: sttText });
+      countRejection("ws", "hallucination", hallu.reason);
+      sendJson(ws, { type: "error", stage: "stt", message: "Filtered: \"" + truncate(sttText, 40) + "\"", details: { code: "hallucination", reason: hallu.reason, match: hallu.match } });
       return;
     }
 
+    // From here on in seq order
+    await awaitTurnOrder(turn);
+
     // Repeat check
     var elapsed = nowMs() - state.lastSttTime;
     if (sttText === state.lastSttText && elapsed < 3000 && sttText.split(/\s+/).length <= 3) {
+      countRejection("ws", "repeat");
       sendJson(ws, { type: "error", stage: "stt", message: "Repeat.", details: { code: "repeat" } });
       return;
     }
@@ -709,90 +4921,249 @@ async function processUtterance(ws, state) {
       type: "stt", text: sttText, model: stt.model, ms: stt.ms, seq: seq,
       detectedLang: stt.language || null,
       sttQuality: { avgNoSpeech: stt.avgNoSpeech, avgLogprob: stt.avgLogprob, avgCompressionRatio: stt.avgCompressionRatio, segmentsCount: stt.segmentsCount },
-      audio: { durationMs: durationMs, rms: metrics.rms, peak: metrics.peak, clipRate: metrics.clipRate, agcGain: agc.gain },
+      audio: { durationMs: durationMs, rms: metrics.rms, peak: metrics.peak, clipRate: metrics.clipRate, agcGain: dsp.agcGain, dsp: dsp.report },
+      hallucination: halluReport, longForm: job.longForm, partialId: job.partialId,
     });
 
-    // Translation
-    var src = state.config.sourceLang || "";
-    var tgt = state.config.targetLang || "en";
-    var translatedText = sttText;
-    var provider = "none";
-    var translationMs = 0;
+    await deliverUtterance(ws, state, turn, {
+      sttText: sttText, sttMs: stt.ms, language: stt.language, durationMs: durationMs, audioStartedAt: audioStartedAt, startedAt: startedAt,
+    });
+  } catch (err) {
+    reportTurnError(ws, state, turn, err, startedAt);
+  } finally {
+    if (job.longForm && job.longForm.last && turn.stage !== "done" && !signal.aborted) closeLongForm(ws, turn, startedAt);
+    await endTurn(state, job);
+  }
+}
 
-    if (src && tgt && src.toLowerCase() === tgt.toLowerCase()) {
-      console.log("[TRANSL][" + state.id + "][#" + seq + "] SKIP same=" + src);
-    } else {
-      var t0 = nowMs();
-      if (DEEPL_API_KEY) {
-        try {
-          var dr = await deeplTranslate(sttText, tgt);
-          translatedText = dr.text;
-          provider = "deepl";
-          translationMs = nowMs() - t0;
-          console.log("[TRANSL][" + state.id + "][#" + seq + "] deepl ms=" + translationMs + " \"" + truncate(translatedText, 200) + "\"");
-        } catch (de) {
-          console.warn("[TRANSL][" + state.id + "][#" + seq + "] DeepL fail: " + truncate(de.message, 100));
-          var or = await openaiTranslate(sttText, src || "auto", tgt);
-          translatedText = or.text;
-          provider = "openai_fallback";
-          translationMs = nowMs() - t0;
-        }
-      } else {
-        var or2 = await openaiTranslate(sttText, src || "auto", tgt);
-        translatedText = or2.text;
-        provider = "openai";
-        translationMs = nowMs() - t0;
-      }
-    }
+// The last part of a recording always ends with done, even when it was empty or
+// rejected (after its error), so clients can rely on longForm.last
+function closeLongForm(ws, turn, startedAt) {
+  turn.stage = "done";
+  sendJson(ws, { type: "done", seq: turn.seq, totalMs: nowMs() - startedAt, breakdown: queueBreakdown(turn), longForm: turn.longForm, empty: true });
+}
 
-    sendJson(ws, { type: "translation", text: translatedText, provider: provider, sourceLang: src || "auto", targetLang: tgt, ms: translationMs, seq: seq });
+/**
+ * {type:"text", text, lang?}: a typed turn enters right after STT and shares
+ * seq numbering, queueing, translation chain, TTS and the done breakdown with
+ * spoken ones (sttMs 0). lang stands in for the detected language (bidi).
+ */
+async function processText(ws, state, job) {
+  var seq = job.seq;
+  var turn = startTurn(job);
+  var startedAt = nowMs();
 
-    // TTS
-    var ttsInput = sanitizeTextForTTS(translatedText);
-    if (!ttsInput) { sendJson(ws, { type: "error", stage: "tts", message: "TTS input empty." }); return; }
+  log.info("text.utterance", { conn: state.id, seq: seq, stage: "text", chars: job.text.length, lang: job.lang || null });
 
-    var tts = await openaiTTS(ttsInput, state.config.voice || OPENAI_TTS_VOICE);
-    console.log("[TTS][" + state.id + "][#" + seq + "] ms=" + tts.ms + " bytes=" + tts.buffer.length);
+  try {
+    await awaitTurnOrder(turn);
+    enforceRequestRate(state.meter, "translation");
+    sendJson(ws, { type: "stt", text: job.text, model: null, ms: 0, seq: seq, detectedLang: job.lang || null, input: "text" });
+    await deliverUtterance(ws, state, turn, {
+      sttText: job.text, sttMs: 0, language: job.lang, durationMs: 0, audioStartedAt: startedAt, startedAt: startedAt,
+    });
+  } catch (err) {
+    reportTurnError(ws, state, turn, err, startedAt);
+  } finally {
+    await endTurn(state, job);
+  }
+}
 
-    sendJson(ws, {
-      type: "tts", audioB64: tts.buffer.toString("base64"), mime: "audio/mpeg",
-      bytes: tts.buffer.length, model: tts.model, voice: state.config.voice || OPENAI_TTS_VOICE, ms: tts.ms, seq: seq,
+/**
+ * Everything after STT: room fan-out, several target languages or the single
+ * (bidi) direction, then transcript, context, TTS and done.
+ * utt: {sttText, sttMs, language, durationMs, audioStartedAt, startedAt}
+ */
+async function deliverUtterance(ws, state, turn, utt) {
+  var seq = turn.seq;
+  var signal = turn.controller.signal;
+  var sttText = utt.sttText;
+  var startedAt = utt.startedAt;
+
+  // Room: fan out to the other participants instead of the 1:1 path
+  if (state.room) {
+    var roomId = state.room.id;
+    enterStage(turn, "room");
+    var roomBreakdown = await deliverToRoom(state, seq, sttText, signal);
+    turn.stage = "done";
+    addTranscriptEntry(state, {
+      seq: seq, audioStartedAt: utt.audioStartedAt, durationMs: utt.durationMs, sourceText: sttText, detectedLang: normalizeLangCode(utt.language) || null,
+      sourceLang: state.room ? state.room.lang : null, targetLang: null, translation: null, provider: null,
     });
+    var roomTotalMs = nowMs() - startedAt;
+    METRICS.pipelineSeconds.observe(pipelineLabels("room", state.config.providers), roomTotalMs / 1000);
+    log.info("pipe.done", { conn: state.id, seq: seq, room: roomId, totalMs: roomTotalMs, sttMs: utt.sttMs, langs: roomBreakdown });
+    sendJson(ws, { type: "done", seq: seq, totalMs: roomTotalMs, room: roomId, breakdown: Object.assign({ sttMs: utt.sttMs, langs: roomBreakdown }, queueBreakdown(turn)), longForm: turn.longForm });
+    return;
+  }
 
-    var totalMs = nowMs() - startedAt;
-    console.log("[PIPE][" + state.id + "][#" + seq + "] DONE " + totalMs + "ms (stt=" + stt.ms + " tr=" + translationMs + " tts=" + tts.ms + ")");
-    sendJson(ws, { type: "done", seq: seq, totalMs: totalMs, breakdown: { sttMs: stt.ms, translationMs: translationMs, ttsMs: tts.ms } });
+  // Several target languages: fan out instead of the single-direction path
+  if (state.config.targetLangs.length) {
+    var targetLangs = state.config.targetLangs.slice();
+    var multiSrc = state.config.sourceLang || "";
+    var detectedLang = normalizeLangCode(utt.language) || null;
+    enterStage(turn, "translation");
+    var multi = await deliverToTargets(ws, state, turn, targetLangs, sttText, multiSrc, detectedLang, startedAt);
+    turn.stage = "done";
+    var primary = targetLangs.filter(function(l) { return multi.translations[l] !== undefined; })[0];
+    addTranscriptEntry(state, {
+      seq: seq, audioStartedAt: utt.audioStartedAt, durationMs: utt.durationMs, sourceText: sttText, detectedLang: detectedLang,
+      sourceLang: multiSrc || null, targetLang: primary || null, translation: primary ? multi.translations[primary] : null,
+      provider: primary ? multi.breakdown[primary].provider : null, translations: multi.translations,
+    });
+    if (primary) rememberUtterance(state, { sourceText: sttText, sourceLang: multiSrc || detectedLang || "", translation: multi.translations[primary], targetLang: primary });
+    var multiTotalMs = nowMs() - startedAt;
+    METRICS.pipelineSeconds.observe(pipelineLabels("multi", state.config.providers), multiTotalMs / 1000);
+    log.info("pipe.done", { conn: state.id, seq: seq, totalMs: multiTotalMs, sttMs: utt.sttMs, langs: multi.breakdown });
+    sendJson(ws, { type: "done", seq: seq, totalMs: multiTotalMs, breakdown: Object.assign({ sttMs: utt.sttMs, langs: multi.breakdown }, queueBreakdown(turn)), longForm: turn.longForm });
+    return;
+  }
 
-  } catch (err) {
-    var totalMs2 = nowMs() - startedAt;
-    var msg = (err && err.message) ? String(err.message) : "Unknown error";
-    console.error("[ERR][" + state.id + "][#" + seq + "] " + totalMs2 + "ms " + msg);
-    sendJson(ws, { type: "error", stage: "pipeline", message: msg, details: { seq: seq, totalMs: totalMs2 } });
-  } finally {
-    state.isProcessing = false;
-    if (state.pendingFlush && state.pcmBytes > 0 && ws.readyState === ws.OPEN) {
-      state.pendingFlush = false;
-      processUtterance(ws, state).catch(function(e) { console.error("[ERR] pending flush", e); });
-    } else {
-      state.pendingFlush = false;
+  // Translation
+  var dir = resolveDirection(state.config, utt.language);
+  if (dir.rejected) {
+    log.warn("bidi.rejected", { conn: state.id, seq: seq, stage: "translation", detectedLang: dir.detectedLang });
+    sendJson(ws, { type: "error", stage: "translation", message: "Unexpected language (" + (dir.detectedLang || "unknown") + ").", details: { code: "lang_mismatch", detectedLang: dir.detectedLang, seq: seq } });
+    return;
+  }
+  if (state.config.auto_bidi) log.info("bidi.direction", { conn: state.id, seq: seq, detectedLang: dir.detectedLang, sourceLang: dir.src || "auto", targetLang: dir.tgt, direction: dir.direction, ambiguous: dir.ambiguous });
+  var src = dir.src || "";
+  var tgt = dir.tgt || "en";
+  var voice = resolveVoice(state.config, tgt);
+  if (!scopeAllows(state.auth, "languages", tgt)) {
+    sendJson(ws, { type: "error", stage: "translation", message: "Language not allowed for tenant: " + tgt, details: { code: "forbidden", seq: seq } });
+    return;
+  }
+  if (!voice) {
+    sendJson(ws, { type: "error", stage: "tts", message: "No voice allowed for tenant.", details: { code: "forbidden", seq: seq } });
+    return;
+  }
+  enterStage(turn, "translation");
+  var tr = await translateText(sttText, src, tgt, state.config.providers.translation, { conn: state.id, seq: seq }, state.meter, {
+    context: translationContext(state), glossary: glossaryForPair(sessionGlossary(state), src || dir.detectedLang, tgt), noCache: !state.config.cache, signal: signal,
+  });
+  enterStage(turn);
+  var translatedText = tr.text;
+  var provider = tr.provider;
+  var translationMs = tr.ms;
+
+  sendJson(ws, {
+    type: "translation", text: translatedText, provider: provider, sourceLang: src || "auto", targetLang: tgt, ms: translationMs, seq: seq,
+    direction: dir.direction, detectedLang: dir.detectedLang, ambiguous: dir.ambiguous, glossary: tr.glossary, cached: tr.cached,
+  });
+  addTranscriptEntry(state, {
+    seq: seq, audioStartedAt: utt.audioStartedAt, durationMs: utt.durationMs, sourceText: sttText, detectedLang: dir.detectedLang,
+    sourceLang: src || null, targetLang: tgt, translation: translatedText, provider: provider,
+  });
+  rememberUtterance(state, { sourceText: sttText, sourceLang: src || dir.detectedLang || "", translation: translatedText, targetLang: tgt });
+
+  // TTS
+  var ttsInput = sanitizeTextForTTS(translatedText);
+  if (!ttsInput) { sendJson(ws, { type: "error", stage: "tts", message: "TTS input empty." }); return; }
+
+  // Barge-in before synthesis started: the translation stands, the audio is skipped
+  var tts = null, ttfaMs = null, ttsCancelled = turn.skipTts, ttsUnavailable = false;
+  if (!ttsCancelled) {
+    enterStage(turn, "tts");
+    enforceQuota(state.meter, "ttsChars", ttsInput.length);
+    try {
+      if (state.config.tts_stream) {
+        tts = await streamSpeech(ws, state.config.providers, seq, ttsInput, voice, state.config.ttsFormat, { lang: tgt, direction: dir.direction }, { noCache: !state.config.cache, signal: turn.ttsSignal });
+        ttfaMs = tts.firstChunkAt === null ? null : tts.firstChunkAt - startedAt;
+        log.info("tts.result", { conn: state.id, seq: seq, stage: "tts", mode: "stream", provider: state.config.providers.tts, ms: tts.ms, bytes: tts.bytes, chunks: tts.chunks, ttfaMs: ttfaMs, cached: tts.cached });
+      } else {
+        tts = await synthesizeSpeech(state.config.providers, ttsInput, voice, state.config.ttsFormat, { noCache: !state.config.cache, signal: turn.ttsSignal });
+        turn.ttsSignal.throwIfAborted();
+        log.info("tts.result", { conn: state.id, seq: seq, stage: "tts", mode: "full", provider: state.config.providers.tts, ms: tts.ms, bytes: tts.buffer.length, cached: tts.cached });
+        sendJson(ws, {
+          type: "tts", audioB64: tts.buffer.toString("base64"), mime: tts.mime,
+          bytes: tts.buffer.length, model: tts.model, voice: voice, ms: tts.ms, seq: seq,
+          lang: tgt, direction: dir.direction, cached: tts.cached,
+        });
+        ttfaMs = nowMs() - startedAt;
+      }
+      recordUsage(state.meter, "ttsChars", ttsInput.length);
+    } catch (ttsErr) {
+      if (signal.aborted) throw ttsErr;
+      // Barge-in during synthesis: already reported as {type:"cancelled"}, the turn still finishes
+      if (turn.ttsSignal.aborted) {
+        tts = null;
+        ttsCancelled = true;
+      } else {
+        // TTS outage: the translation already went out, so the turn finishes text-only
+        if (ttsErr.code !== "tts_unavailable") throw ttsErr;
+        log.warn("tts.unavailable", { conn: state.id, seq: seq, stage: "tts", err: ttsErr });
+        sendJson(ws, { type: "error", stage: "tts", message: errorMessage(ttsErr), details: Object.assign({ code: ttsErr.code, seq: seq }, ttsErr.details) });
+        ttsUnavailable = true;
+      }
     }
   }
+  turn.stage = "done";
+
+  var ttsMs = tts ? tts.ms : null;
+  var totalMs = nowMs() - startedAt;
+  METRICS.pipelineSeconds.observe(pipelineLabels("direct", state.config.providers), totalMs / 1000);
+  log.info("pipe.done", { conn: state.id, seq: seq, totalMs: totalMs, sttMs: utt.sttMs, translationMs: translationMs, ttsMs: ttsMs, ttfaMs: ttfaMs });
+  sendJson(ws, {
+    type: "done", seq: seq, totalMs: totalMs,
+    breakdown: Object.assign({ sttMs: utt.sttMs, translationMs: translationMs, ttsMs: ttsMs, ttfaMs: ttfaMs, ttsCancelled: ttsCancelled || undefined, ttsUnavailable: ttsUnavailable || undefined }, queueBreakdown(turn)),
+    longForm: turn.longForm,
+  });
+}
+
+function reportTurnError(ws, state, turn, err, startedAt) {
+  var seq = turn.seq;
+  var totalMs = nowMs() - startedAt;
+  // Already reported as {type:"cancelled"} by whoever aborted the turn
+  if (turn.controller.signal.aborted || (turn.stage === "tts" && turn.ttsSignal.aborted)) {
+    log.info("pipe.cancelled", { conn: state.id, seq: seq, stage: turn.stage, reason: turn.controller.signal.aborted ? turn.reason : "barge_in", totalMs: totalMs });
+    return;
+  }
+  var msg = (err && err.message) ? String(err.message) : "Unknown error";
+  if (err && err.code === "quota_exceeded") {
+    log.warn("quota.exceeded", { conn: state.id, seq: seq, stage: err.stage, tenant: state.tenantId, err: err });
+    sendJson(ws, { type: "error", stage: err.stage, message: msg, details: Object.assign({ seq: seq }, err.details) });
+    return;
+  }
+  // Provider failures keep their stage and code: outages (stt_unavailable, ...) and
+  // requests the provider refused or answered unusably (http_400, provider_error)
+  if (isProviderError(err)) {
+    log.error(/_unavailable$/.test(err.code) ? "pipe.provider_unavailable" : "pipe.provider_error", { conn: state.id, seq: seq, stage: err.stage, totalMs: totalMs, err: err });
+    sendJson(ws, { type: "error", stage: err.stage, message: msg, details: Object.assign({ code: err.code, seq: seq, totalMs: totalMs }, err.details) });
+    return;
+  }
+  log.error("pipe.error", { conn: state.id, seq: seq, totalMs: totalMs, err: err });
+  sendJson(ws, { type: "error", stage: "pipeline", message: msg, details: { seq: seq, totalMs: totalMs } });
 }
 
 // -------------------------
 // Start
 // -------------------------
+loadAuthKeys();
+watchAuthKeys();
+loadHallucinationData();
+loadPersistedTranscripts();
+if (CACHE_ENABLED) { translationCache.load(); ttsCache.load(); }
+
 server.listen(PORT, function() {
-  console.log("[BOOT] Instant Talk Backend v2.0");
-  console.log("[BOOT] Port: " + PORT);
-  console.log("[BOOT] WS: " + WS_PATH);
-  console.log("[BOOT] STT: " + OPENAI_STT_MODEL);
-  console.log("[BOOT] TTS: " + OPENAI_TTS_MODEL + " voice=" + OPENAI_TTS_VOICE);
-  console.log("[BOOT] Translation: " + OPENAI_TRANSLATION_MODEL);
-  console.log("[BOOT] DeepL: " + (DEEPL_API_KEY ? "ON (" + DEEPL_API_URL_PRIMARY + ")" : "OFF"));
-  console.log("[BOOT] AGC: target=" + AGC_TARGET_RMS + " maxGain=" + AGC_MAX_GAIN);
-  console.log("[BOOT] Guards: minMs=" + MIN_AUDIO_MS_FOR_STT + " minRms=" + MIN_RMS + " maxClip=" + MAX_CLIP_RATE);
-  console.log("[BOOT] Guards: maxNoSpeech=" + MAX_NO_SPEECH_PROB + " minLogprob=" + MIN_AVG_LOGPROB + " maxCompRatio=" + MAX_COMPRESSION_RATIO);
-  console.log("[BOOT] Hallucination blacklist: " + HALLUCINATION_SET.size + " entries");
-  console.log("[BOOT] Ready.");
+  log.info("boot", {
+    service: "instant-talk-backend", version: "2.0", port: PORT, wsPath: WS_PATH,
+    models: { stt: OPENAI_STT_MODEL, tts: OPENAI_TTS_MODEL, voice: OPENAI_TTS_VOICE, translation: OPENAI_TRANSLATION_MODEL },
+    providers: { stt: STT_PROVIDER, translation: TRANSLATION_PROVIDERS, tts: TTS_PROVIDER },
+    deepl: DEEPL_API_KEY ? DEEPL_API_URL_PRIMARY : false,
+    auth: AUTH_REQUIRED ? { keysFile: AUTH_KEYS_FILE || null, hmac: Boolean(AUTH_HMAC_SECRET) } : false,
+    limits: {
+      perMinute: RATE_LIMIT_PER_MIN, perMinuteConn: RATE_LIMIT_CONN_PER_MIN,
+      audioSecondsPerDay: QUOTA_AUDIO_SECONDS_PER_DAY, translationCharsPerDay: QUOTA_TRANSLATION_CHARS_PER_DAY, ttsCharsPerDay: QUOTA_TTS_CHARS_PER_DAY,
+    },
+    cache: CACHE_ENABLED ? { ttlMs: CACHE_TTL_MS, translationEntries: CACHE_TRANSLATION_MAX_ENTRIES, ttsBytes: CACHE_TTS_MAX_BYTES, dir: CACHE_DIR || null } : false,
+    dsp: makeDspConfig(),
+    guards: {
+      minMs: MIN_AUDIO_MS_FOR_STT, minRms: MIN_RMS, maxClip: MAX_CLIP_RATE,
+      maxNoSpeech: MAX_NO_SPEECH_PROB, minLogprob: MIN_AVG_LOGPROB, maxCompressionRatio: MAX_COMPRESSION_RATIO,
+      hallucination: { entries: hallucinationEntryCount(), dryRun: HALLU_DRY_RUN, file: HALLU_FILE },
+    },
+    vad: { threshold: VAD_THRESHOLD, hangoverMs: VAD_HANGOVER_MS, preRollMs: VAD_PREROLL_MS, minSpeechMs: VAD_MIN_SPEECH_MS },
+    log: { level: LOG_LEVEL, redact: LOG_REDACT },
+  });
 });
@@ -0,0 +1,250 @@
+// Integration tests: boot server.js with the offline mock providers and drive it
+// over WS and REST. Run with `npm test` (node:test, no network needed).
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import net from "node:net";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+const BOOT_TIMEOUT_MS = 10000;
+const MESSAGE_TIMEOUT_MS = 5000;
+
+var servers = [];
+
+after(function() {
+  servers.forEach(function(s) { s.child.kill(); });
+});
+
+function freePort() {
+  return new Promise(function(resolve, reject) {
+    var srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", function() {
+      var port = srv.address().port;
+      srv.close(function() { resolve(port); });
+    });
+  });
+}
+
+function wait(ms) { return new Promise(function(resolve) { setTimeout(resolve, ms); }); }
+
+// Starts a server with mock providers (plus `env`) and resolves once /healthz answers
+async function startServer(env) {
+  var port = await freePort();
+  var child = spawn(process.execPath, [SERVER], {
+    env: Object.assign({}, process.env, {
+      PORT: String(port), MOCK_PROVIDERS: "true", STT_PROVIDER: "mock", TTS_PROVIDER: "mock", TRANSLATION_PROVIDERS: "mock",
+      LOG_LEVEL: "error", AUTH_REQUIRED: "false", AUTH_KEYS_FILE: "", AUTH_HMAC_SECRET: "", CACHE_DIR: "", TRANSCRIPT_DIR: "",
+    }, env),
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  var server = { child: child, port: port, http: "http://127.0.0.1:" + port, ws: "ws://127.0.0.1:" + port + "/ws" };
+  servers.push(server);
+  var deadline = Date.now() + BOOT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error("server exited with code " + child.exitCode);
+    try {
+      var res = await fetch(server.http + "/healthz");
+      if (res.ok) return server;
+    } catch (e) { /* not listening yet */ }
+    await wait(50);
+  }
+  throw new Error("server did not start within " + BOOT_TIMEOUT_MS + "ms");
+}
+
+function stopServer(server) {
+  return new Promise(function(resolve) {
+    if (server.child.exitCode !== null) return resolve();
+    server.child.once("exit", function() { resolve(); });
+    server.child.kill();
+  });
+}
+
+// WS client that queues JSON messages (binary frames are counted) for next()
+function connect(url) {
+  return new Promise(function(resolve, reject) {
+    var ws = new WebSocket(url);
+    var client = { ws: ws, queue: [], waiters: [], binary: 0 };
+    ws.on("message", function(data, isBinary) {
+      if (isBinary) { client.binary++; return; }
+      client.queue.push(JSON.parse(String(data)));
+      client.waiters.splice(0).forEach(function(w) { w(); });
+    });
+    ws.once("open", function() { resolve(client); });
+    ws.once("error", reject);
+  });
+}
+
+function send(client, obj) { client.ws.send(JSON.stringify(obj)); }
+
+// Next message of `type` (earlier messages of other types are dropped), or any message
+async function next(client, type) {
+  var deadline = Date.now() + MESSAGE_TIMEOUT_MS;
+  for (;;) {
+    while (client.queue.length) {
+      var msg = client.queue.shift();
+      if (!type || msg.type === type) return msg;
+    }
+    var left = deadline - Date.now();
+    if (left <= 0) throw new Error("timed out waiting for " + (type || "a message"));
+    await new Promise(function(resolve) {
+      var timer = setTimeout(resolve, left);
+      client.waiters.push(function() { clearTimeout(timer); resolve(); });
+    });
+  }
+}
+
+function close(client) {
+  return new Promise(function(resolve) {
+    if (client.ws.readyState === WebSocket.CLOSED) return resolve();
+    client.ws.once("close", function() { resolve(); });
+    client.ws.close();
+  });
+}
+
+// 16 kHz mono Int16 LE tone, loud enough to pass the level guards
+function tone(ms) {
+  var n = 16 * ms;
+  var buf = Buffer.alloc(n * 2);
+  for (var i = 0; i < n; i++) buf.writeInt16LE(Math.round(0.3 * 32767 * Math.sin(2 * Math.PI * 220 * i / 16000)), i * 2);
+  return buf;
+}
+
+function postJson(server, route, body) {
+  return fetch(server.http + route, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+}
+
+test("mock pipeline: spoken and typed turns go through stt, translation and tts", async function() {
+  var server = await startServer({});
+  try {
+    var c = await connect(server.ws);
+    var ready = await next(c, "ready");
+    assert.ok(ready.resumeToken);
+
+    send(c, { type: "config", targetLang: "fr" });
+    assert.equal((await next(c, "config_ack")).config.targetLang, "fr");
+
+    c.ws.send(tone(1000));
+    send(c, { type: "flush" });
+    var stt = await next(c, "stt");
+    assert.equal(stt.seq, 1);
+    assert.ok(stt.text.length > 0);
+    var tr = await next(c, "translation");
+    assert.equal(tr.seq, 1);
+    assert.equal(tr.provider, "mock");
+    assert.equal(tr.text, "[fr] " + stt.text);
+    var tts = await next(c, "tts");
+    assert.equal(tts.seq, 1);
+    assert.ok(tts.bytes > 0);
+    assert.equal((await next(c, "done")).seq, 1);
+
+    send(c, { type: "text", text: "good morning" });
+    assert.equal((await next(c, "translation")).text, "[fr] good morning");
+    assert.equal((await next(c, "done")).seq, 2);
+    await close(c);
+
+    var res = await postJson(server, "/v1/translate", { text: "hello", targetLang: "de" });
+    assert.equal(res.status, 200);
+    var body = await res.json();
+    assert.equal(body.text, "[de] hello");
+    assert.equal(body.provider, "mock");
+  } finally {
+    await stopServer(server);
+  }
+});
+
+test("resume replays what was not acked, and only as the first thing a connection does", async function() {
+  var server = await startServer({ RESUME_GRACE_MS: "5000" });
+  try {
+    var a = await connect(server.ws);
+    var token = (await next(a, "ready")).resumeToken;
+    send(a, { type: "text", text: "first" });
+    assert.equal((await next(a, "done")).seq, 1);
+    send(a, { type: "ack", seq: 1 });
+    send(a, { type: "text", text: "second" });
+    assert.equal((await next(a, "done")).seq, 2);
+    a.ws.terminate();
+    await wait(100);
+
+    // A connection with its own turns can't take over another session
+    var busy = await connect(server.ws);
+    await next(busy, "ready");
+    send(busy, { type: "text", text: "mine" });
+    await next(busy, "done");
+    send(busy, { type: "resume", token: token, lastSeq: 0 });
+    var refused = await next(busy, "error");
+    assert.equal(refused.stage, "resume");
+    assert.equal(refused.details.code, "resume_refused");
+    await close(busy);
+
+    var b = await connect(server.ws);
+    await next(b, "ready");
+    send(b, { type: "resume", token: token, lastSeq: 0 });
+    var resumed = await next(b, "resumed");
+    assert.equal(resumed.seq, 2);
+    assert.notEqual(resumed.resumeToken, token);
+    var replayed = [];
+    while (replayed.length < resumed.replayed) replayed.push(await next(b));
+    assert.equal(replayed[replayed.length - 1].type, "done");
+    replayed.forEach(function(msg) { assert.equal(msg.seq, 2); });
+
+    // The session goes on with its own seq
+    send(b, { type: "text", text: "third" });
+    assert.equal((await next(b, "done")).seq, 3);
+    await close(b);
+
+    // The old token was rotated away
+    var c = await connect(server.ws);
+    await next(c, "ready");
+    send(c, { type: "resume", token: token, lastSeq: 0 });
+    assert.equal((await next(c, "error")).details.code, "resume_expired");
+    await close(c);
+  } finally {
+    await stopServer(server);
+  }
+});
+
+test("a failing translation provider is retried, opens its breaker and falls back down the chain", async function() {
+  var server = await startServer({
+    TRANSLATION_PROVIDERS: "mock_fail,mock", PROVIDER_RETRIES: "1", PROVIDER_RETRY_BASE_MS: "1", BREAKER_FAILURES: "1", BREAKER_COOLDOWN_MS: "60000",
+  });
+  try {
+    var c = await connect(server.ws);
+    await next(c, "ready");
+    send(c, { type: "config", targetLang: "es" });
+    await next(c, "config_ack");
+    send(c, { type: "text", text: "fallback please" });
+    var tr = await next(c, "translation");
+    assert.equal(tr.provider, "mock_fallback");
+    assert.equal(tr.text, "[es] fallback please");
+    await next(c, "done");
+
+    var health = await (await fetch(server.http + "/healthz")).json();
+    assert.equal(health.status, "degraded");
+    assert.equal(health.providers.translation.mock_fail.state, "open");
+    assert.ok(health.providers.translation.mock_fail.retryInMs > 0);
+    assert.equal(health.providers.translation.mock.state, "closed");
+
+    var metrics = await (await fetch(server.http + "/metrics")).text();
+    assert.match(metrics, /instant_talk_provider_retries_total\{[^}]*provider="mock_fail"[^}]*\} 1\b/);
+
+    // Without a fallback the outage surfaces as translation_unavailable
+    send(c, { type: "config", providers: { translation: ["mock_fail"] } });
+    await next(c, "config_ack");
+    send(c, { type: "text", text: "no fallback" });
+    var err = await next(c, "error");
+    assert.equal(err.stage, "translation");
+    assert.equal(err.details.code, "translation_unavailable");
+    await close(c);
+
+    var res = await postJson(server, "/v1/translate", { text: "still down", targetLang: "es", providers: { translation: ["mock_fail"] } });
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).details.code, "translation_unavailable");
+  } finally {
+    await stopServer(server);
+  }
+});